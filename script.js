@@ -23,7 +23,265 @@ const GORILLA_RADIUS = 20;
 const BULLET_SPEED_MULTIPLIER = 1.5; // Make bullets faster (1 = normal, >1 faster)
 const MAX_SHOOT_STRENGTH = 350; // <<< UPDATED: Define max player input strength
 const MIN_SHOOT_STRENGTH = 10; // Define min player input strength
+const TYPED_ENTRY_MAX_LENGTH = 6; // Characters in the typed angle/velocity prompt ("123.45")
+const DRAG_START_RADIUS = 150; // Drag-to-aim has to start this close to the active gorilla (canvas pixels)
+const DRAG_STRENGTH_PER_PIXEL = 1.2; // Strength per pixel pulled back, so MAX_SHOOT_STRENGTH is about 290px
+const DRAG_MIN_DISTANCE = 20; // Letting go of a shorter pull cancels instead of firing
 const BULLET_IMMUNITY_DURATION = 0.05; // Seconds (50ms) of immunity after firing
+const TERRAIN_CELL_SIZE = 2; // Pixels per collision mask cell
+const FALL_SAFE_HEIGHT = 40; // Pixels a gorilla can drop without getting hurt
+const FALL_DAMAGE_PER_PIXEL = 0.25; // Damage per pixel dropped beyond FALL_SAFE_HEIGHT
+const PHYSICS_STEP = 1 / 60; // Fixed simulation timestep in seconds, identical on every device
+const MAX_FRAME_TIME = 0.1; // Longest real frame the simulation will catch up on (e.g. after tab unfocus)
+const CAMERA_MARGIN = 80; // Sky the follow camera keeps above the highest projectile (pixels)
+const CAMERA_MIN_ZOOM = 0.35; // Furthest it zooms out; anything higher still gets an edge marker
+const CAMERA_EASE_TIME = 0.25; // Seconds for the zoom to cover most of the way to its target
+const EXPLOSION_TIME = 0.8; // Seconds an explosion holds up the turn: the fireball and the debris falling
+const FIREBALL_TIME = 0.35; // Seconds for the fireball to swell to the blast radius and burn out
+const FIREBALL_ORANGE = 'rgb(255, 140, 0)'; // Outer part of the fireball (the core is YELLOW)
+const DEBRIS_PER_RADIUS = 0.4; // Debris chunks per pixel of blast radius
+const DEBRIS_SPEED_PER_RADIUS = 6; // Launch speed of the debris, so bigger blasts throw it further
+const DEBRIS_GRAVITY = 1200; // Pixels/s^2, heavier than the game's gravity so it's all down within EXPLOSION_TIME
+const SMOKE_PUFFS = 6; // Per explosion
+const SMOKE_TIME = 1.6; // Seconds a smoke puff takes to drift up and fade (it doesn't hold up the turn)
+const SMOKE_GROWTH = 25; // Pixels/s the puffs swell by as they drift
+const MAX_PARTICLES = 400; // Oldest particles make way beyond this (cluster bombs explode a lot at once)
+const SHAKE_PER_RADIUS = 0.12; // Pixels of screen shake per pixel of blast radius
+const SHAKE_TIME = 0.4; // Seconds for the shake to die down
+const GORILLA_THROW_TIME = 0.4; // Seconds the throwing arm stays up after a shot
+const GORILLA_FLINCH_TIME = 0.5; // Seconds a gorilla cowers after a blast nearby
+const GORILLA_FLINCH_RANGE = 120; // Blasts this far beyond their radius still make gorillas flinch
+const GORILLA_FACE = 'rgb(40, 20, 0)'; // Eyes and brow
+const BANANA_SPIN_SPEED = 12; // Radians per second projectiles tumble in flight
+const BANANA_OUTLINE = 'rgb(110, 80, 0)';
+
+// --- Weapons ---
+// ammo: shots per player per round (Infinity = unlimited)
+// blastRadius: crater and damage radius of the final explosion
+// clusterCount/fragmentBlast: splits into this many smaller bombs at the top of its arc
+// digBuildings: tunnels through this many buildings, exploding in the next thing it hits
+// bounces/restitution: bounces off terrain this many times, keeping this fraction of its speed
+// banana: drawn as a banana (the others are bombs, drawn as squares)
+const WEAPONS = {
+    banana:  { name: "Banana",       ammo: Infinity, blastRadius: DESTROYED_CIRCLE_SIZE, size: BULLET_SIZE, color: YELLOW, banana: true },
+    heavy:   { name: "Heavy Banana", ammo: 2,        blastRadius: 100, size: 16, color: 'rgb(255, 165, 0)', banana: true },
+    cluster: { name: "Cluster Bomb", ammo: 2,        blastRadius: 40,  size: 12, color: WHITE, clusterCount: 5, fragmentBlast: 35, fragmentSpread: 45 },
+    digger:  { name: "Digger",       ammo: 2,        blastRadius: 50,  size: 10, color: GREY, digBuildings: 3 },
+    bouncer: { name: "Bouncer",      ammo: 3,        blastRadius: 55,  size: 10, color: CYAN, bounces: 3, restitution: 0.65 },
+};
+const WEAPON_ORDER = ['banana', 'heavy', 'cluster', 'digger', 'bouncer'];
+const DIGGER_TUNNEL_RADIUS = 14; // Must be larger than one physics step of travel so the tunnel stays open
+const BOUNCE_MIN_SPEED = 60; // Bouncers explode instead of bouncing once slower than this
+
+// --- Players ---
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 4;
+const PLAYER_COLORS = [CYAN, YELLOW, 'rgb(0, 255, 0)', 'rgb(255, 0, 255)']; // Turn underline and name tag per slot
+const TEAM_NAMES = ['Team A', 'Team B']; // Team mode: odd seats (P1, P3) vs even seats (P2, P4)
+const SPAWN_EDGE_FRACTION = 5 / 30; // Gorillas spawn this far in from either edge (the classic 6th and 25th of 30 buildings)
+const UI_COLUMN_SPACING = 300; // Pixels between player stat columns on the same side of the screen
+
+// --- Sky Themes ---
+// sky: colours from the top of the screen down to the ground (just one = a plain sky)
+// sun/face: colours of the sun's disc and face (at night it's the moon, and it has no rays)
+// litWindows: share of building windows with the lights on
+const SKY_THEMES = {
+    day:   { name: "Day",   sky: [BLUE], sun: YELLOW, face: BLUE, rays: true, litWindows: 0.5 },
+    dusk:  { name: "Dusk",  sky: ['rgb(50, 30, 110)', 'rgb(200, 80, 90)', 'rgb(255, 170, 70)'], sun: 'rgb(255, 130, 40)', face: 'rgb(120, 30, 40)', rays: true, litWindows: 0.6 },
+    night: { name: "Night", sky: ['rgb(5, 5, 25)', 'rgb(25, 30, 80)'], sun: 'rgb(235, 235, 210)', face: 'rgb(90, 90, 110)', stars: true, litWindows: 0.85 },
+    storm: { name: "Storm", sky: ['rgb(35, 40, 50)', 'rgb(95, 100, 110)'], sun: 'rgb(190, 190, 150)', face: 'rgb(70, 75, 85)', rain: true, lightning: true, litWindows: 0.5 },
+};
+const SKY_THEME_ORDER = ['day', 'dusk', 'night', 'storm']; // The settings also offer 'random', a new one each round
+const SUN_SHOCK_DISTANCE = 60; // A projectile passing this close to the edge of the sun shocks it...
+const SUN_SHOCK_TIME = 1; // ...for this many seconds after
+const STAR_COUNT = 150;
+const RAIN_DROPS = 160;
+const RAIN_SPEED = 900; // Pixels per second
+const RAIN_LENGTH = 18; // Pixels
+const RAIN_WIND_FACTOR = 4; // Sideways drift of the rain per unit of wind
+const LIGHTNING_MIN_GAP = 3; // Seconds between strikes, plus up to LIGHTNING_GAP_SPREAD more
+const LIGHTNING_GAP_SPREAD = 6;
+const LIGHTNING_FLASH_TIME = 0.25; // Seconds a strike stays visible
+
+// --- Match Settings ---
+// first: the first side to win this many rounds takes the match
+// best: at most this many rounds, ending early once nobody can catch the leader (a tie after the last one goes to sudden death)
+const MATCH_FORMATS = {
+    endless: { name: "Endless",    type: 'endless' },
+    first3:  { name: "First to 3", type: 'first', rounds: 3 },
+    first5:  { name: "First to 5", type: 'first', rounds: 5 },
+    best3:   { name: "Best of 3",  type: 'best',  rounds: 3 },
+    best5:   { name: "Best of 5",  type: 'best',  rounds: 5 },
+};
+const MATCH_FORMAT_ORDER = ['endless', 'first3', 'first5', 'best3', 'best5'];
+const TRAIL_HISTORY = 2; // Previous shots per player drawn as dotted arcs (when the trails setting is on)
+const TRAIL_ALPHA = 0.45; // Opacity of a player's latest trail; older ones fade further
+const ROUND_END_DELAY = 3000; // Milliseconds the round result stays up before the next round starts
+
+// --- Game Settings ---
+// Chosen on the settings screen before a match and remembered in localStorage. The game reads them
+// from game.settings; the constants above only provide the defaults.
+const GRAVITY_PRESETS = {
+    earth:   { name: "Earth",   gravity: GRAVITY },
+    moon:    { name: "Moon",    gravity: 16.2 }, // Same scale as GRAVITY: 10 px/s² per m/s²
+    mars:    { name: "Mars",    gravity: 37.1 },
+    jupiter: { name: "Jupiter", gravity: 247.9 },
+};
+const DEFAULT_SETTINGS = {
+    gravity: GRAVITY,
+    buildingCount: 30,
+    buildingMinHeight: 100,
+    buildingMaxHeight: 400,
+    explosionRadius: DESTROYED_CIRCLE_SIZE, // Banana blast; the other weapons scale along with it
+    startingHealth: 100,
+    numPlayers: MIN_PLAYERS,
+    teamMode: false,
+    matchFormat: 'best5',
+    windLevel: 'normal',
+    gusty: false,
+    playerNames: ['Player 1', 'Player 2', 'Player 3', 'Player 4'],
+    gorillaColors: ['#ff0000', '#ff0000', '#ff0000', '#ff0000'], // RED, in the hex form colour inputs use
+    typedInput: [false, false, false, false], // Per seat: type exact numbers instead of nudging with the arrows
+    masterVolume: 0.8,
+    effectsVolume: 0.8,
+    musicVolume: 0.6,
+    muted: false,
+    showTrails: true,
+    followCamera: false,
+    reducedMotion: false, // No screen shake or lightning flashes
+    skyTheme: 'day', // Key into SKY_THEMES, or 'random'
+    level: '', // Name of a built-in or saved level, '' for a random city each round
+};
+// [min, max] for every numeric setting
+const SETTINGS_LIMITS = {
+    gravity: [5, 400],
+    buildingCount: [8, 60],
+    buildingMinHeight: [40, 650],
+    buildingMaxHeight: [40, 650],
+    explosionRadius: [20, 150],
+    startingHealth: [10, 500],
+    numPlayers: [MIN_PLAYERS, MAX_PLAYERS],
+    masterVolume: [0, 1],
+    effectsVolume: [0, 1],
+    musicVolume: [0, 1],
+};
+// Settings that belong to this browser rather than the match (an online host's settings don't override them)
+const LOCAL_SETTING_KEYS = ['masterVolume', 'effectsVolume', 'musicVolume', 'muted', 'showTrails', 'followCamera', 'reducedMotion', 'typedInput'];
+const SETTINGS_STORAGE_KEY = 'pyrillas_settings';
+const STATS_STORAGE_KEY = 'pyrillas_stats';
+
+// --- Key Bindings ---
+// Each seat has its own keys; only the active player's keys do anything
+const BINDING_ACTIONS = [
+    { key: 'aimLeft', name: "Aim left" },
+    { key: 'aimRight', name: "Aim right" },
+    { key: 'powerUp', name: "More power" },
+    { key: 'powerDown', name: "Less power" },
+    { key: 'fire', name: "Fire" },
+    { key: 'weapon', name: "Next weapon" },
+];
+const BINDINGS_WASD = { aimLeft: 'a', aimRight: 'd', powerUp: 'w', powerDown: 's', fire: 'f', weapon: 'q' };
+const BINDINGS_ARROWS = { aimLeft: 'ArrowLeft', aimRight: 'ArrowRight', powerUp: 'ArrowUp', powerDown: 'ArrowDown', fire: 'Enter', weapon: 'Shift' };
+const DEFAULT_BINDINGS = [BINDINGS_WASD, BINDINGS_ARROWS, BINDINGS_WASD, BINDINGS_ARROWS]; // Players 3 and 4 take turns on the same two layouts
+const BINDINGS_STORAGE_KEY = 'pyrillas_bindings';
+const RESERVED_KEYS = ['c', 'l', 'n', 'g', '2', '3', '4', 't', 'b', 'o', 'h', 'm', 'i', 'k', 'p', 'e', 'Escape']; // Game hotkeys, which can't be bound
+const KEY_LABELS = { ' ': "Space", ArrowLeft: "←", ArrowRight: "→", ArrowUp: "↑", ArrowDown: "↓" };
+
+// --- Game Controllers ---
+// Button and axis numbers are the Gamepad API's "standard" layout (Xbox names; Cross/L1/R1 on PlayStation)
+const GAMEPAD_DEAD_ZONE = 0.2; // Stick travel that's ignored, so a resting stick doesn't drift the aim
+const GAMEPAD_BUTTON_FIRE = 0; // A
+const GAMEPAD_BUTTONS_WEAPON = [4, 5]; // LB / RB cycle weapons
+const GAMEPAD_BUTTON_START = 9; // Moves the pad on to the next free player slot
+// Left stick (or d-pad) for each aim action: the axis, which direction counts, and the d-pad button
+const GAMEPAD_AIM = {
+    aimLeft: { axis: 0, sign: -1, dpad: 14 },
+    aimRight: { axis: 0, sign: 1, dpad: 15 },
+    powerUp: { axis: 1, sign: -1, dpad: 12 },
+    powerDown: { axis: 1, sign: 1, dpad: 13 },
+};
+const GAMEPAD_NOTICE_TIME = 3000; // Milliseconds the "controller connected" notice stays up
+
+// --- Sound ---
+// Everything is synthesized with Web Audio, so there are no sound files to download
+const SOUND_WHISTLE_MIN_FREQ = 500; // Hz of the in-flight whistle at ground level...
+const SOUND_WHISTLE_MAX_FREQ = 1600; // ...rising to this at the top of the screen (and above it)
+const SOUND_WHISTLE_VOLUME = 0.05; // It plays for the whole flight, so keep it quiet
+const SOUND_TICK_MIN_INTERVAL = 0.035; // Seconds between aim ticks, so a fast adjustment doesn't buzz
+const FANFARE_ROUND = [[523, 0.12], [659, 0.12], [784, 0.12], [1047, 0.4]]; // [Hz, seconds] - C E G C
+const FANFARE_MATCH = [[523, 0.12], [659, 0.12], [784, 0.12], [1047, 0.24], [784, 0.12], [1047, 0.7]];
+const STATS_VERSION = 1; // Bumped if the stored format ever changes
+const STATS_HISTORY_LIMIT = 100; // Matches kept in the history (career totals are kept forever)
+const STATS_RECENT_MATCHES = 10; // Matches listed on the stats screen
+const CAREER_FIELDS = ['matches', 'matchWins', 'rounds', 'roundWins', 'shots', 'hits', 'directHits', 'splashKills', 'damage']; // Totals kept per player
+const MAX_NAME_LENGTH = 16;
+
+// --- Online Play ---
+const NETWORK_DEFAULT_PORT = 8080; // Port of server/relay.js when the game is opened from a file
+const NETWORK_RECONNECT_MIN_MS = 1000; // First retry after the connection drops...
+const NETWORK_RECONNECT_MAX_MS = 10000; // ...doubling up to this
+const REMOTE_SHOT_SKIPPED_MESSAGE = "Out of step with your opponent - their last shot was skipped"; // Shown if the games drift apart
+
+// --- Wind Settings ---
+// maxWind: strongest horizontal acceleration (pixels/s², like GRAVITY) a round or turn can roll
+const WIND_LEVELS = {
+    calm:   { name: "Calm",   maxWind: 0 },
+    normal: { name: "Normal", maxWind: 30 },
+    strong: { name: "Strong", maxWind: 75 },
+};
+const WIND_LEVEL_ORDER = ['calm', 'normal', 'strong'];
+
+// --- AI Settings ---
+// angleError/strengthError: max random error added to the perfect shot (degrees / strength units)
+// learns: whether the error shrinks and is corrected after each miss
+// thinkTime: seconds spent visibly moving the aim arrow before firing
+const AI_LEVELS = {
+    easy:   { name: "Easy",   angleError: 9,   strengthError: 40, learns: false, thinkTime: 1.6 },
+    normal: { name: "Normal", angleError: 4,   strengthError: 18, learns: true,  thinkTime: 1.2 },
+    hard:   { name: "Hard",   angleError: 1.5, strengthError: 6,  learns: true,  thinkTime: 0.9 },
+};
+const AI_LEVEL_ORDER = ['easy', 'normal', 'hard'];
+const AI_SIM_MAX_TIME = 15; // Give up on a simulated shot after this many seconds
+const AI_LEARN_FACTOR = 0.5; // Error multiplier applied after each miss (learning levels only)
+const AI_FIRE_PAUSE = 0.3; // Seconds to hold the final aim before firing
+const AI_SEARCH_STEPS_PER_STEP = 4000; // Bullet steps the AI simulates per game step while it thinks (a whole search at once stalls the game)
+
+// --- Levels ---
+// Hand-made cities from the level editor, saved as JSON (the format is documented in the README and
+// checked by sanitize_level). A level replaces the random skyline; its gravity and wind are optional.
+const LEVEL_FORMAT = 'pyrillas-level';
+const LEVEL_VERSION = 1; // Bumped if the format ever changes
+const LEVELS_STORAGE_KEY = 'pyrillas_levels';
+const LEVEL_MAX_NAME_LENGTH = 32;
+const LEVEL_MAX_BUILDINGS = 60;
+const LEVEL_MAX_CRATERS = 40;
+const LEVEL_MIN_BUILDING_WIDTH = 20;
+const LEVEL_MIN_BUILDING_HEIGHT = 20;
+const LEVEL_MAX_BUILDING_HEIGHT = 800; // Keeps the rooftops clear of the UI at the top
+const LEVEL_CRATER_RADIUS = [10, 150]; // [min, max]
+const LEVEL_MAX_WIND = WIND_LEVELS.strong.maxWind; // Either way
+const LEVEL_SPAWNS = MAX_PLAYERS; // Spawn points per level, used left to right like the default placement
+const BUILDING_HEX_COLORS = ['#ff0000', '#808080', '#00ffff']; // RED, GREY and CYAN in the form colour inputs use
+const BUILT_IN_LEVELS = [
+    {
+        name: "Twin Towers",
+        buildings: skyline_buildings([220, 180, 260, 200, 240, 160, 220, 280, 200, 260, 640, 120, 120, 640, 260, 200, 280, 220, 160, 240, 200, 260, 180, 220]),
+        craters: [],
+        gravity: null,
+        wind: null,
+    },
+    {
+        name: "Canyon", // Low Mars gravity and no wind, for long lobs over the gap
+        buildings: skyline_buildings([420, 440, 430, 450, 460, 440, 430, 420, 300, 180, 90, 60, 60, 90, 180, 300, 420, 430, 440, 460, 450, 430, 440, 420]),
+        craters: [{ x: 640, y: SCREEN_HEIGHT - 420, radius: 50 }, { x: 1280, y: SCREEN_HEIGHT - 420, radius: 50 }],
+        gravity: GRAVITY_PRESETS.mars.gravity,
+        wind: 0,
+    },
+].map(level => ({ format: LEVEL_FORMAT, version: LEVEL_VERSION, ...level, spawns: default_spawns(level.buildings) }));
+const EDITOR_GRAB_DISTANCE = 10; // Pixels from a building's edge (or a crater's rim) that resize instead of moving it
+const EDITOR_NEW_BUILDING_WIDTH = 80;
+const EDITOR_NEW_CRATER_RADIUS = DESTROYED_CIRCLE_SIZE;
+const EDITOR_PREVIEW_SEED = 1; // Fixed windows in the editor, so they don't flicker while dragging
 
 
 // Set canvas dimensions
@@ -31,12 +289,300 @@ canvas.width = SCREEN_WIDTH;
 canvas.height = SCREEN_HEIGHT;
 
 // --- Global Game State ---
-let destroyedCircles = []; // List to track destroyed circles (explosions)
-let keysPressed = {}; // Track currently pressed keys
+let keysPressed = {}; // Track currently pressed keys (by normalize_key)
+let touchActions = {}; // Binding actions held down on the mobile buttons
+let keyBindings = load_bindings(); // Per seat: { action: key }
 let game; // Will hold the Game instance
+let settingsOpen = false; // The settings screen is showing; the game underneath is paused
+let statsOpen = false; // Same for the stats screen (except online, see updateGamePause)
+let bindingsOpen = false; // Same for the key bindings screen
+let pauseOpen = false; // The pause menu is showing
+let settingsFromPause = false; // The pause menu's Settings button opened the settings screen, so closing it goes back there
+let stats; // StatsStore with the career totals and match history
+let sound; // SoundSystem
+let gamepads; // GamepadInput
+let pendingSeed = null; // "?seed=" from the URL, used by the first match started from the settings screen
+let editor = null; // LevelEditor, kept between visits so unsaved work isn't lost
+let editorOpen = false; // The level editor is showing instead of the game
 
 // --- Helper Functions ---
 
+// Fresh seed for a new session. This is the only place that touches Math.random;
+// everything after it is derived from the seed.
+function random_seed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+// Turns a user-supplied seed (e.g. from "?seed=") into a 32-bit integer.
+// Numbers are used as-is, anything else is hashed so "?seed=lunch" works too. Returns null if empty.
+function parse_seed(value) {
+    if (value === null || value === undefined || String(value).trim() === "") return null;
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
+    }
+    let hash = 2166136261; // FNV-1a
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+// Fills in missing settings and clamps bad ones, so a stale localStorage entry (or an online host's
+// settings) can never break a match
+function sanitize_settings(raw) {
+    raw = raw && typeof raw === 'object' ? raw : {};
+    const settings = { ...DEFAULT_SETTINGS, ...raw };
+    Object.entries(SETTINGS_LIMITS).forEach(([key, [min, max]]) => {
+        const value = Number(settings[key]);
+        settings[key] = Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : DEFAULT_SETTINGS[key];
+    });
+    settings.buildingCount = Math.round(settings.buildingCount);
+    settings.numPlayers = Math.round(settings.numPlayers);
+    if (settings.buildingMinHeight > settings.buildingMaxHeight) {
+        [settings.buildingMinHeight, settings.buildingMaxHeight] = [settings.buildingMaxHeight, settings.buildingMinHeight];
+    }
+    settings.teamMode = settings.teamMode === true && settings.numPlayers === MAX_PLAYERS;
+    if (!MATCH_FORMATS[settings.matchFormat]) settings.matchFormat = DEFAULT_SETTINGS.matchFormat;
+    if (!WIND_LEVELS[settings.windLevel]) settings.windLevel = DEFAULT_SETTINGS.windLevel;
+    if (settings.skyTheme !== 'random' && !SKY_THEMES[settings.skyTheme]) settings.skyTheme = DEFAULT_SETTINGS.skyTheme;
+    if (typeof settings.level !== 'string') settings.level = DEFAULT_SETTINGS.level;
+    settings.gusty = settings.gusty === true;
+    settings.muted = settings.muted === true;
+    settings.showTrails = settings.showTrails !== false;
+    settings.followCamera = settings.followCamera === true;
+    settings.reducedMotion = settings.reducedMotion === true;
+    const names = Array.isArray(raw.playerNames) ? raw.playerNames : [];
+    settings.playerNames = DEFAULT_SETTINGS.playerNames.map((name, idx) =>
+        typeof names[idx] === 'string' && names[idx].trim() ? names[idx].trim().slice(0, MAX_NAME_LENGTH) : name);
+    const colors = Array.isArray(raw.gorillaColors) ? raw.gorillaColors : [];
+    settings.gorillaColors = DEFAULT_SETTINGS.gorillaColors.map((color, idx) =>
+        /^#[0-9a-f]{6}$/i.test(colors[idx]) ? colors[idx] : color);
+    const typed = Array.isArray(raw.typedInput) ? raw.typedInput : [];
+    settings.typedInput = DEFAULT_SETTINGS.typedInput.map((value, idx) => typed[idx] === true);
+    return settings;
+}
+
+// Last used settings, or the defaults
+function load_settings() {
+    try {
+        return sanitize_settings(JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)));
+    } catch (e) {
+        console.warn("Couldn't load saved settings, using defaults.", e);
+        return sanitize_settings(null);
+    }
+}
+
+function save_settings(settings) {
+    try {
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    } catch (e) {
+        console.warn("Couldn't save settings.", e); // Private browsing, storage full...
+    }
+}
+
+// e.key with letters lower-cased, so Shift or Caps Lock doesn't change which binding a key matches
+function normalize_key(key) {
+    return key.length === 1 ? key.toLowerCase() : key;
+}
+
+// How a bound key is shown: "W", "Space", "←", "Enter"
+function key_label(key) {
+    return KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key);
+}
+
+// Fills in anything missing or malformed from DEFAULT_BINDINGS
+function sanitize_bindings(raw) {
+    const saved = Array.isArray(raw) ? raw : [];
+    return DEFAULT_BINDINGS.map((defaults, player) => {
+        const bindings = {};
+        BINDING_ACTIONS.forEach(({ key: action }) => {
+            const key = saved[player] && saved[player][action];
+            bindings[action] = typeof key === 'string' && key !== '' ? normalize_key(key) : defaults[action];
+        });
+        return bindings;
+    });
+}
+
+function load_bindings() {
+    try {
+        return sanitize_bindings(JSON.parse(localStorage.getItem(BINDINGS_STORAGE_KEY)));
+    } catch (e) {
+        console.warn("Couldn't load saved key bindings, using defaults.", e);
+        return sanitize_bindings(null);
+    }
+}
+
+function save_bindings(bindings) {
+    try {
+        localStorage.setItem(BINDINGS_STORAGE_KEY, JSON.stringify(bindings));
+    } catch (e) {
+        console.warn("Couldn't save key bindings.", e);
+    }
+}
+
+// A player's key doing two jobs, or a key that's already a game hotkey. Returns [{ player, action, reason }].
+// Different players may share keys: only the active player's keys are live, so they never clash.
+function find_binding_conflicts(bindings) {
+    const conflicts = [];
+    bindings.forEach((playerBindings, player) => {
+        BINDING_ACTIONS.forEach(({ key: action, name }) => {
+            const key = playerBindings[action];
+            const other = BINDING_ACTIONS.find(a => a.key !== action && playerBindings[a.key] === key);
+            if (other) {
+                conflicts.push({ player, action, reason: `P${player + 1} ${name}: ${key_label(key)} is also ${other.name}` });
+            } else if (RESERVED_KEYS.includes(key)) {
+                conflicts.push({ player, action, reason: `P${player + 1} ${name}: ${key_label(key)} is a game hotkey` });
+            }
+        });
+    });
+    return conflicts;
+}
+
+// Any player's key (so the browser doesn't scroll on an arrow or tab away, even off-turn)
+function is_bound_key(key) {
+    return keyBindings.some(bindings => Object.values(bindings).includes(key));
+}
+
+// 95000 -> "1:35"
+function format_duration(ms) {
+    const seconds = Math.round(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Equal-width buildings filling the screen, coloured in turn (for the built-in levels)
+function skyline_buildings(heights) {
+    const width = SCREEN_WIDTH / heights.length;
+    return heights.map((height, idx) => ({ x: idx * width, width, height, color: BUILDING_HEX_COLORS[idx % BUILDING_HEX_COLORS.length] }));
+}
+
+// LEVEL_SPAWNS spawn points spread over a skyline the way place_gorillas spreads that many players,
+// each dropping in from the top of the screen
+function default_spawns(buildings) {
+    const edge = Math.round(buildings.length * SPAWN_EDGE_FRACTION);
+    let firstIndex = edge;
+    let lastIndex = buildings.length - 1 - edge;
+    if (lastIndex - firstIndex < LEVEL_SPAWNS - 1) {
+        firstIndex = 0;
+        lastIndex = Math.max(0, buildings.length - 1);
+    }
+    return Array.from({ length: LEVEL_SPAWNS }, (_, idx) => {
+        const t = idx / (LEVEL_SPAWNS - 1);
+        const building = buildings[Math.round(firstIndex + (lastIndex - firstIndex) * t)];
+        return { x: Math.round(building ? building.x + building.width / 2 : SCREEN_WIDTH * (0.2 + 0.6 * t)), y: 0 };
+    });
+}
+
+// 'rgb(255, 0, 0)' -> '#ff0000' (hex passes through), for colour inputs and the level format
+function to_hex_color(color) {
+    const rgb = /^rgb\((\d+),\s*(\d+),\s*(\d+)\)$/.exec(color);
+    if (!rgb) return color;
+    return '#' + rgb.slice(1).map(c => Number(c).toString(16).padStart(2, '0')).join('');
+}
+
+// Checks a level (from a file, the URL, localStorage or an online host) and clamps everything into range,
+// so a hand-edited file can't break a match. Throws if it isn't a level at all, or is from a newer version.
+function sanitize_level(raw) {
+    if (!raw || typeof raw !== 'object' || raw.format !== LEVEL_FORMAT) {
+        throw new Error("Not a Pyrillas level file");
+    }
+    const version = Number(raw.version);
+    if (!(version >= 1 && version <= LEVEL_VERSION)) {
+        throw new Error(`Level version ${raw.version} isn't supported by this version of the game`);
+    }
+    const clamp = (value, min, max, fallback = min) => {
+        const number = Number(value);
+        return Number.isFinite(number) ? Math.max(min, Math.min(max, number)) : fallback;
+    };
+    const objects = (list, max) => (Array.isArray(list) ? list : []).filter(item => item && typeof item === 'object').slice(0, max);
+    // Gravity and wind may be null (or left out): the match setting, or random wind
+    const optional = (value, min, max) => value === null || value === undefined || value === '' ? null : clamp(value, min, max, null);
+
+    const buildings = objects(raw.buildings, LEVEL_MAX_BUILDINGS).map(building => {
+        const x = Math.round(clamp(building.x, 0, SCREEN_WIDTH - LEVEL_MIN_BUILDING_WIDTH));
+        return {
+            x,
+            width: Math.round(clamp(building.width, LEVEL_MIN_BUILDING_WIDTH, SCREEN_WIDTH - x)),
+            height: Math.round(clamp(building.height, LEVEL_MIN_BUILDING_HEIGHT, LEVEL_MAX_BUILDING_HEIGHT)),
+            color: /^#[0-9a-f]{6}$/i.test(building.color) ? building.color.toLowerCase() : BUILDING_HEX_COLORS[1],
+        };
+    });
+    const spawns = objects(raw.spawns, LEVEL_SPAWNS).map(spawn => ({
+        x: Math.round(clamp(spawn.x, GORILLA_RADIUS, SCREEN_WIDTH - GORILLA_RADIUS)),
+        y: Math.round(clamp(spawn.y, 0, SCREEN_HEIGHT - GORILLA_RADIUS)),
+    }));
+    const craters = objects(raw.craters, LEVEL_MAX_CRATERS).map(crater => ({
+        x: Math.round(clamp(crater.x, 0, SCREEN_WIDTH)),
+        y: Math.round(clamp(crater.y, 0, SCREEN_HEIGHT)),
+        radius: Math.round(clamp(crater.radius, ...LEVEL_CRATER_RADIUS)),
+    }));
+    const wind = optional(raw.wind, -LEVEL_MAX_WIND, LEVEL_MAX_WIND);
+    return {
+        format: LEVEL_FORMAT,
+        version: LEVEL_VERSION,
+        name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim().slice(0, LEVEL_MAX_NAME_LENGTH) : "Untitled",
+        gravity: optional(raw.gravity, ...SETTINGS_LIMITS.gravity),
+        wind: wind === null ? null : Math.round(wind), // Whole numbers, like roll_wind
+        buildings,
+        spawns,
+        craters,
+    };
+}
+
+// Levels saved in this browser, by name. Any that no longer pass sanitize_level are dropped.
+function load_levels() {
+    const levels = {};
+    try {
+        const saved = JSON.parse(localStorage.getItem(LEVELS_STORAGE_KEY)) || {};
+        Object.values(saved).forEach(raw => {
+            try {
+                const level = sanitize_level(raw);
+                levels[level.name] = level;
+            } catch (e) {
+                console.warn("Dropping a broken saved level.", e);
+            }
+        });
+    } catch (e) {
+        console.warn("Couldn't load saved levels.", e);
+    }
+    return levels;
+}
+
+function save_levels(levels) {
+    try {
+        localStorage.setItem(LEVELS_STORAGE_KEY, JSON.stringify(levels));
+    } catch (e) {
+        console.warn("Couldn't save levels.", e);
+    }
+}
+
+function is_built_in_level(name) {
+    return BUILT_IN_LEVELS.some(level => level.name === name);
+}
+
+// Adds a level to the saved ones (replacing one with the same name) and returns its name.
+// The built-in names are taken, so a loaded copy of a built-in level is saved under a new one.
+function store_level(level) {
+    if (is_built_in_level(level.name)) level.name = `${level.name} (custom)`;
+    const levels = load_levels();
+    levels[level.name] = level;
+    save_levels(levels);
+    return level.name;
+}
+
+// A built-in or saved level, or null (a random city) for '' or a name that's no longer saved
+function find_level(name) {
+    if (!name) return null;
+    return BUILT_IN_LEVELS.find(level => level.name === name) || load_levels()[name] || null;
+}
+
+// Gorillas drop from their spawn point onto the first thing below it (or the ground). Returns the y of the centre.
+function spawn_landing_y(terrain, spawn) {
+    const floorY = terrain.find_floor(spawn.x - GORILLA_RADIUS / 2, spawn.x + GORILLA_RADIUS / 2, spawn.y + GORILLA_RADIUS, SCREEN_HEIGHT);
+    return (floorY === null ? SCREEN_HEIGHT : floorY) - GORILLA_RADIUS;
+}
+
 function compute_circle_intersection_area(r1, r2, d) {
     // Check for no intersection or one circle contained within the other
     if (d >= r1 + r2) {
@@ -133,25 +679,94 @@ function compute_explosion_damage(explosion_center, explosion_radius, player_cen
 
 // --- Classes ---
 
+// Small seedable random number generator (mulberry32).
+// The same seed always produces the same sequence, on every browser.
+class SeededRandom {
+    constructor(seed) {
+        this.state = seed >>> 0;
+    }
+
+    // Float in [0, 1), drop-in replacement for Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Integer in [0, n)
+    int(n) {
+        return Math.floor(this.next() * n);
+    }
+
+    // New 32-bit seed drawn from this sequence (used to chain round seeds)
+    next_seed() {
+        return Math.floor(this.next() * 0x100000000) >>> 0;
+    }
+}
+
 class Sky {
-    constructor() {
+    // themeKey: key into SKY_THEMES. rng: the round's cosmetic stream, for the stars, rain and lightning.
+    constructor(themeKey, rng) {
         this.sun_center = { x: SCREEN_WIDTH / 2, y: 100 };
         this.sun_radius = 40;
         this.ray_angle = 0;
+        this.set_theme(themeKey, rng);
+    }
+
+    // Called at the start of every round
+    set_theme(themeKey, rng) {
+        this.theme = SKY_THEMES[themeKey];
+        this.rng = rng;
+        this.stars = !this.theme.stars ? [] : Array.from({ length: STAR_COUNT }, () => ({
+            x: rng.next() * SCREEN_WIDTH, y: rng.next() * SCREEN_HEIGHT * 0.7, size: 1 + rng.int(2), phase: rng.next() * Math.PI * 2
+        }));
+        this.rain = !this.theme.rain ? [] : Array.from({ length: RAIN_DROPS }, () => ({
+            x: rng.next() * SCREEN_WIDTH, y: rng.next() * SCREEN_HEIGHT
+        }));
+        this.rainDrift = 0; // Pixels per second sideways, from the wind
+        this.lightning = null; // { time, bolt } while a strike is showing
+        this.nextLightning = LIGHTNING_MIN_GAP + rng.next() * LIGHTNING_GAP_SPREAD;
+        this.shockTime = 0; // Seconds the sun stays shocked after a projectile went past
+        this.clock = 0; // Drives the twinkling
+    }
+
+    // Fills the whole view, big enough for when the follow camera zooms all the way out
+    fill_view(ctx) {
+        const overscan = 1 / CAMERA_MIN_ZOOM;
+        ctx.fillRect(-SCREEN_WIDTH * overscan, -SCREEN_HEIGHT * overscan, SCREEN_WIDTH * (2 * overscan + 1), SCREEN_HEIGHT * (overscan + 1));
     }
 
     draw(ctx) {
-        // Background
-        ctx.fillStyle = BLUE;
-        ctx.fillRect(0, 0, SCREEN_WIDTH, SCREEN_HEIGHT);
+        // Background. Craters are real holes in the terrain, so this is what shows through them too.
+        const colors = this.theme.sky;
+        if (colors.length === 1) {
+            ctx.fillStyle = colors[0];
+        } else {
+            const gradient = ctx.createLinearGradient(0, 0, 0, SCREEN_HEIGHT);
+            colors.forEach((color, idx) => gradient.addColorStop(idx / (colors.length - 1), color));
+            ctx.fillStyle = gradient;
+        }
+        this.fill_view(ctx);
 
+        this.draw_stars(ctx);
         this.draw_sun(ctx);
-        this.draw_sun_rays(ctx);
+        if (this.theme.rays) this.draw_sun_rays(ctx);
         this.draw_face(ctx);
     }
 
+    draw_stars(ctx) {
+        ctx.fillStyle = WHITE;
+        this.stars.forEach(star => {
+            ctx.globalAlpha = 0.6 + 0.4 * Math.sin(this.clock * 2 + star.phase); // Twinkle
+            ctx.fillRect(star.x, star.y, star.size, star.size);
+        });
+        ctx.globalAlpha = 1;
+    }
+
     draw_sun(ctx) {
-        ctx.fillStyle = YELLOW;
+        ctx.fillStyle = this.theme.sun;
         ctx.beginPath();
         ctx.arc(this.sun_center.x, this.sun_center.y, this.sun_radius, 0, Math.PI * 2);
         ctx.fill();
@@ -160,7 +775,7 @@ class Sky {
     draw_sun_rays(ctx) {
         const num_rays = 12;
         const ray_length = 60;
-        ctx.strokeStyle = YELLOW;
+        ctx.strokeStyle = this.theme.sun;
         ctx.lineWidth = 2;
         for (let i = 0; i < num_rays; i++) {
             const angle = (Math.PI * 2 / num_rays * i) + this.ray_angle; // Use radians
@@ -179,8 +794,13 @@ class Sky {
         }
     }
 
+    is_shocked() {
+        return this.shockTime > 0;
+    }
+
     draw_face(ctx) {
-        const eye_radius = 5;
+        const shocked = this.is_shocked();
+        const eye_radius = shocked ? 7 : 5; // Wide-eyed when shocked
         const left_eye_pos = {
             x: this.sun_center.x - this.sun_radius / 2.5, // Eyes slightly closer
             y: this.sun_center.y - this.sun_radius / 3   // Eyes slightly higher
@@ -190,7 +810,7 @@ class Sky {
             y: this.sun_center.y - this.sun_radius / 3
         };
 
-        ctx.fillStyle = BLUE; // Eyes same color as sky background
+        ctx.fillStyle = this.theme.face;
         ctx.beginPath();
         ctx.arc(left_eye_pos.x, left_eye_pos.y, eye_radius, 0, Math.PI * 2);
         ctx.fill();
@@ -198,8 +818,16 @@ class Sky {
         ctx.arc(right_eye_pos.x, right_eye_pos.y, eye_radius, 0, Math.PI * 2);
         ctx.fill();
 
+        if (shocked) {
+            // An "O" of surprise, as in the original when a banana flew past
+            ctx.beginPath();
+            ctx.arc(this.sun_center.x, this.sun_center.y + this.sun_radius * 0.4, this.sun_radius * 0.25, 0, Math.PI * 2);
+            ctx.fill();
+            return;
+        }
+
         // Smile Arc
-        ctx.strokeStyle = BLUE;
+        ctx.strokeStyle = this.theme.face;
         ctx.lineWidth = 2;
         ctx.beginPath();
         // Adjust smile position and radius slightly
@@ -207,23 +835,125 @@ class Sky {
         ctx.stroke();
     }
 
-    update(deltaTime) {
+    // Rain and lightning, drawn over the city. reducedMotion leaves out the flash that lights up the whole sky.
+    draw_weather(ctx, reducedMotion) {
+        if (this.rain.length > 0) {
+            const slant = this.rainDrift / RAIN_SPEED * RAIN_LENGTH;
+            ctx.strokeStyle = 'rgba(180, 190, 220, 0.5)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            this.rain.forEach(drop => {
+                ctx.moveTo(drop.x, drop.y);
+                ctx.lineTo(drop.x - slant, drop.y - RAIN_LENGTH);
+            });
+            ctx.stroke();
+        }
+        if (!this.lightning) return;
+        const fade = this.lightning.time / LIGHTNING_FLASH_TIME; // 1 -> 0
+        if (!reducedMotion) {
+            ctx.fillStyle = `rgba(255, 255, 255, ${0.35 * fade})`;
+            this.fill_view(ctx);
+        }
+        ctx.strokeStyle = `rgba(255, 255, 220, ${fade})`;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        this.lightning.bolt.forEach((point, idx) => idx === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y));
+        ctx.stroke();
+    }
+
+    // Wind arrow to the right of the sun: length and number show strength, direction shows where it blows
+    draw_wind(ctx, wind) {
+        const x = this.sun_center.x + this.sun_radius + 140;
+        const y = this.sun_center.y;
+
+        ctx.fillStyle = WHITE;
+        ctx.font = "20px sans-serif";
+        ctx.textAlign = "center";
+        ctx.fillText(wind === 0 ? "No wind" : `Wind ${Math.abs(wind)}`, x, y - 15);
+        ctx.textAlign = "left"; // Reset alignment
+
+        if (wind === 0) return;
+
+        const dir = Math.sign(wind);
+        const length = 20 + Math.min(Math.abs(wind), 100); // Longer arrow for stronger wind
+        const startX = x - dir * length / 2;
+        const endX = x + dir * length / 2;
+
+        ctx.strokeStyle = WHITE;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(startX, y);
+        ctx.lineTo(endX, y);
+        ctx.stroke();
+
+        // Arrowhead
+        ctx.fillStyle = WHITE;
+        ctx.beginPath();
+        ctx.moveTo(endX + dir * 4, y);
+        ctx.lineTo(endX - dir * 8, y - 7);
+        ctx.lineTo(endX - dir * 8, y + 7);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    // bullets: projectiles in flight, which shock the sun if they pass close. wind slants the rain.
+    update(deltaTime, bullets = [], wind = 0) {
         // Ensure ray_angle doesn't grow indefinitely large
         const speed = 60; // degrees per second roughly
         this.ray_angle = (this.ray_angle + speed * deltaTime * Math.PI / 180) % (2 * Math.PI);
+        this.clock += deltaTime;
+
+        const near = this.sun_radius + SUN_SHOCK_DISTANCE;
+        if (bullets.some(b => Math.hypot(b.x - this.sun_center.x, b.y - this.sun_center.y) < near)) {
+            this.shockTime = SUN_SHOCK_TIME;
+        } else {
+            this.shockTime = Math.max(0, this.shockTime - deltaTime);
+        }
+
+        // Rain falls through the screen and starts again at the top
+        this.rainDrift = wind * RAIN_WIND_FACTOR;
+        this.rain.forEach(drop => {
+            drop.y += RAIN_SPEED * deltaTime;
+            drop.x = ((drop.x + this.rainDrift * deltaTime) % SCREEN_WIDTH + SCREEN_WIDTH) % SCREEN_WIDTH;
+            if (drop.y > SCREEN_HEIGHT) drop.y -= SCREEN_HEIGHT + RAIN_LENGTH;
+        });
+
+        if (!this.theme.lightning) return;
+        if (this.lightning) {
+            this.lightning.time -= deltaTime;
+            if (this.lightning.time <= 0) this.lightning = null;
+        }
+        this.nextLightning -= deltaTime;
+        if (this.nextLightning <= 0) {
+            this.lightning = { time: LIGHTNING_FLASH_TIME, bolt: this.create_bolt() };
+            this.nextLightning = LIGHTNING_MIN_GAP + this.rng.next() * LIGHTNING_GAP_SPREAD;
+        }
+    }
+
+    // A jagged line from the top of the sky down to somewhere over the city
+    create_bolt() {
+        let x = this.rng.next() * SCREEN_WIDTH;
+        const bottom = SCREEN_HEIGHT * (0.3 + 0.3 * this.rng.next());
+        const bolt = [{ x, y: 0 }];
+        for (let y = 40; y < bottom; y += 40) {
+            x += (this.rng.next() - 0.5) * 60;
+            bolt.push({ x, y });
+        }
+        return bolt;
     }
 }
 
 class Building {
-    constructor(x, width, height, color) {
+    // litWindows: the share of windows with the lights on (the sky theme's)
+    constructor(x, width, height, color, rng, litWindows = 0.5) {
         this.x = x;
         this.width = width;
         this.height = height;
         this.color = color;
-        this.window_states = this.initialize_window_states();
+        this.window_states = this.initialize_window_states(rng, litWindows);
     }
 
-    initialize_window_states() {
+    initialize_window_states(rng, litWindows) {
         const num_windows_y = Math.floor((this.height - 10) / 20);
         const states = [];
         // Ensure num_windows_y is not negative
@@ -233,7 +963,7 @@ class Building {
             const row = [];
              // Only 3 columns of windows as per original code
             for (let c = 0; c < 3; c++) {
-                 row.push(Math.random() < 0.5); // True or False
+                 row.push(rng.next() < litWindows); // True or False
             }
             states.push(row);
         }
@@ -255,6 +985,7 @@ class Building {
              if (!row || row.length === 0) continue;
 
             for (let col_idx = 0; col_idx < row.length; col_idx++) {
+                if (5 + col_idx * 20 + 10 > this.width) break; // Narrow level buildings don't fit all three
                 const window_on = row[col_idx];
                 ctx.fillStyle = window_on ? YELLOW : DARK_GREY;
                 const window_x = this.x + 5 + col_idx * 20;
@@ -264,17 +995,6 @@ class Building {
         }
     }
 
-    // Checks if a specific point (x, y) falls within any explosion circle
-    is_point_destroyed(x, y) {
-        for (const circle of destroyedCircles) {
-            const dist_sq = (x - circle.x) ** 2 + (y - circle.y) ** 2;
-            if (dist_sq <= circle.radius ** 2) {
-                return true;
-            }
-        }
-        return false;
-    }
-
      get_rect() {
         return {
             x: this.x,
@@ -285,30 +1005,278 @@ class Building {
     }
 }
 
+// Destructible terrain. A grid of solid/empty cells is the collision mask that every hit test reads,
+// and a matching offscreen "hole" canvas is cut out of the city when it's drawn, so craters are real
+// holes showing whatever is behind them. Explosions carve into both; their cost doesn't grow with
+// the number of craters.
+class TerrainMask {
+    constructor(width, height, cellSize = TERRAIN_CELL_SIZE) {
+        this.width = width;
+        this.height = height;
+        this.cellSize = cellSize;
+        this.cols = Math.ceil(width / cellSize);
+        this.rows = Math.ceil(height / cellSize);
+        this.cells = new Uint8Array(this.cols * this.rows); // 1 = solid, 0 = empty
+
+        // Holes are painted opaque here and erased from the city layer at draw time
+        this.holeCanvas = document.createElement('canvas');
+        this.holeCanvas.width = width;
+        this.holeCanvas.height = height;
+        this.holeCtx = this.holeCanvas.getContext('2d');
+
+        // Scratch layer the buildings are drawn onto before the holes are cut out
+        this.layerCanvas = document.createElement('canvas');
+        this.layerCanvas.width = width;
+        this.layerCanvas.height = height;
+        this.layerCtx = this.layerCanvas.getContext('2d');
+    }
+
+    // Back to nothing solid and no holes, so the level editor can rebuild one mask after every change
+    clear() {
+        this.cells.fill(0);
+        this.holeCtx.clearRect(0, 0, this.width, this.height);
+    }
+
+    // Marks a rectangle ({x, y, width, height}) as solid, e.g. a building
+    fill_rect(rect) {
+        const minCol = Math.max(0, Math.floor(rect.x / this.cellSize));
+        const maxCol = Math.min(this.cols - 1, Math.ceil((rect.x + rect.width) / this.cellSize) - 1);
+        const minRow = Math.max(0, Math.floor(rect.y / this.cellSize));
+        const maxRow = Math.min(this.rows - 1, Math.ceil((rect.y + rect.height) / this.cellSize) - 1);
+        for (let row = minRow; row <= maxRow; row++) {
+            this.cells.fill(1, row * this.cols + minCol, row * this.cols + maxCol + 1);
+        }
+    }
+
+    is_solid(x, y) {
+        if (x < 0 || y < 0 || x >= this.width || y >= this.height) return false;
+        const col = Math.floor(x / this.cellSize);
+        const row = Math.floor(y / this.cellSize);
+        return this.cells[row * this.cols + col] === 1;
+    }
+
+    // Scans downwards from fromY to toY for the first row with a solid cell between minX and maxX.
+    // Returns the top edge (in pixels) of that row, or null if everything in between is empty.
+    find_floor(minX, maxX, fromY, toY) {
+        const minCol = Math.max(0, Math.floor(minX / this.cellSize));
+        const maxCol = Math.min(this.cols - 1, Math.floor(maxX / this.cellSize));
+        const fromRow = Math.max(0, Math.floor(fromY / this.cellSize));
+        const toRow = Math.min(this.rows - 1, Math.floor(toY / this.cellSize));
+        for (let row = fromRow; row <= toRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                if (this.cells[row * this.cols + col] === 1) {
+                    return row * this.cellSize;
+                }
+            }
+        }
+        return null;
+    }
+
+    // Clears every cell whose center passes inside(x, y) within the given pixel bounds.
+    // Shape-specific carve_* methods build on this, so new damage shapes only need a test and a path.
+    carve_cells(minX, minY, maxX, maxY, inside) {
+        const minCol = Math.max(0, Math.floor(minX / this.cellSize));
+        const maxCol = Math.min(this.cols - 1, Math.floor(maxX / this.cellSize));
+        const minRow = Math.max(0, Math.floor(minY / this.cellSize));
+        const maxRow = Math.min(this.rows - 1, Math.floor(maxY / this.cellSize));
+        for (let row = minRow; row <= maxRow; row++) {
+            const centerY = (row + 0.5) * this.cellSize;
+            for (let col = minCol; col <= maxCol; col++) {
+                if (inside((col + 0.5) * this.cellSize, centerY)) {
+                    this.cells[row * this.cols + col] = 0;
+                }
+            }
+        }
+    }
+
+    carve_circle(x, y, radius) {
+        const radiusSq = radius * radius;
+        this.carve_cells(x - radius, y - radius, x + radius, y + radius,
+            (cx, cy) => (cx - x) ** 2 + (cy - y) ** 2 <= radiusSq);
+
+        this.holeCtx.fillStyle = BLACK; // Any opaque color, only the alpha is used
+        this.holeCtx.beginPath();
+        this.holeCtx.arc(x, y, radius, 0, Math.PI * 2);
+        this.holeCtx.fill();
+    }
+
+    // Draws the terrain with its holes cut out. drawSolid(layerCtx) paints the intact terrain
+    // (buildings, windows) each frame, so animated details still work.
+    draw(ctx, drawSolid) {
+        const layer = this.layerCtx;
+        layer.clearRect(0, 0, this.width, this.height);
+        drawSolid(layer);
+        layer.globalCompositeOperation = 'destination-out';
+        layer.drawImage(this.holeCanvas, 0, 0);
+        layer.globalCompositeOperation = 'source-over';
+        ctx.drawImage(this.layerCanvas, 0, 0);
+    }
+}
+
 class Gorilla {
-    constructor(x, y) {
+    constructor(x, y, health = 100, color = RED) {
         this.x = x;
         this.y = y;
-        this.health = 100;
+        this.prevY = y; // For render interpolation while falling (resynced every step by Game.update)
+        this.health = health;
+        this.color = color;
         this.radius = GORILLA_RADIUS;
+        this.falling = false;
+        this.vy = 0;
+        this.fallStartY = y;
+        this.pose = 'idle'; // Drawing only: 'idle', 'throw', 'flinch' or 'dance'
+        this.poseTime = 0; // Seconds left in the current pose
+        this.throwSide = 1; // Arm that throws: 1 = right, -1 = left
+        this.animTime = 0; // Drives the dance and the flinch's shiver
     }
 
-    draw(ctx) {
-        // Draw Gorilla Body
-        ctx.fillStyle = RED; // Pygame used RED
-        ctx.beginPath();
-        ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
-        ctx.fill();
+    // --- Animation (cosmetic; the hit circle never changes) ---
+    set_pose(pose, duration = Infinity) {
+        this.pose = pose;
+        this.poseTime = duration;
+    }
+
+    // angle: the throw's angle in degrees, so the arm on that side goes up
+    start_throw(angle) {
+        this.throwSide = angle <= 90 ? 1 : -1;
+        this.set_pose('throw', GORILLA_THROW_TIME);
+    }
+
+    update_pose(deltaTime) {
+        this.animTime += deltaTime;
+        this.poseTime -= deltaTime;
+        if (this.poseTime <= 0) this.pose = 'idle';
+    }
+
+    // The feet rest on anything solid under the middle half of the body (or the ground)
+    has_footing(terrain) {
+        const feetY = this.y + this.radius;
+        if (feetY >= SCREEN_HEIGHT - 1) return true;
+        return terrain.find_floor(this.x - this.radius / 2, this.x + this.radius / 2, feetY, feetY + 1) !== null;
+    }
+
+    // Starts a fall if the ground under the gorilla was blown away. Returns true if it started falling.
+    check_footing(terrain) {
+        if (this.falling || this.has_footing(terrain)) return false;
+        this.falling = true;
+        this.vy = 0;
+        this.fallStartY = this.y;
+        return true;
+    }
+
+    // Moves a falling gorilla one physics step. Returns the drop height in pixels when it lands, otherwise null.
+    update_fall(deltaTime, terrain, gravity = GRAVITY) {
+        this.prevY = this.y;
+        if (!this.falling) return null;
+
+        const oldFeetY = this.y + this.radius;
+        const newY = this.y + this.vy * deltaTime + 0.5 * gravity * deltaTime * deltaTime;
+        this.vy += gravity * deltaTime;
+        const newFeetY = newY + this.radius;
+
+        // Swept landing: first solid row between the old and new feet position, or the ground
+        let floorY = terrain.find_floor(this.x - this.radius / 2, this.x + this.radius / 2, oldFeetY, newFeetY);
+        if (floorY === null && newFeetY >= SCREEN_HEIGHT) {
+            floorY = SCREEN_HEIGHT;
+        }
+        if (floorY === null) {
+            this.y = newY;
+            return null;
+        }
+
+        this.y = floorY - this.radius;
+        this.falling = false;
+        this.vy = 0;
+        return this.y - this.fallStartY;
+    }
+
+    // label/labelColor: optional name tag drawn above the health (used when there are more than two players)
+    draw(ctx, alpha = 1, label = null, labelColor = WHITE) {
+        const drawY = this.prevY + (this.y - this.prevY) * alpha;
+
+        // Draw Gorilla Body (greyed out once eliminated)
+        this.draw_body(ctx, this.x, drawY, this.health > 0 ? this.color : DARK_GREY); // Pygame used a RED circle
 
         // Draw Health Text
         ctx.fillStyle = WHITE;
         ctx.font = "24px sans-serif";
         ctx.textAlign = "center";
         // Use Math.max to prevent showing negative health
-        ctx.fillText(Math.max(0, Math.round(this.health)), this.x, this.y - this.radius - 5); // Position above gorilla
+        ctx.fillText(Math.max(0, Math.round(this.health)), this.x, drawY - this.radius - 5); // Position above gorilla
+        if (label) {
+            ctx.fillStyle = labelColor;
+            ctx.font = "18px sans-serif";
+            ctx.fillText(label, this.x, drawY - this.radius - 32);
+        }
         ctx.textAlign = "left"; // Reset alignment
     }
 
+    // A gorilla in the style of the original: head, broad chest, bowed legs and long arms, drawn to fit
+    // inside the hit circle around (x, y). Arm angles are measured from hanging straight down.
+    draw_body(ctx, x, y, color) {
+        const r = this.radius;
+        let leftArm = 0.4;
+        let rightArm = 0.4;
+        let bob = 0; // Raises the whole body (dancing) or lowers it (cowering)
+        let legSpread = 0;
+        if (this.pose === 'throw') {
+            if (this.throwSide > 0) rightArm = 2.7; else leftArm = 2.7;
+        } else if (this.pose === 'flinch') {
+            leftArm = rightArm = 2.3; // Arms over the head
+            bob = -3;
+            x += Math.sin(this.animTime * 60) * 1.5; // Shivers
+        } else if (this.pose === 'dance') {
+            const beat = Math.sin(this.animTime * 10);
+            leftArm = 1.8 + beat;
+            rightArm = 1.8 - beat;
+            bob = Math.abs(beat) * 5;
+            legSpread = Math.abs(beat) * 3;
+        }
+        y -= bob;
+
+        ctx.fillStyle = color;
+        ctx.strokeStyle = color;
+        ctx.lineCap = "round";
+
+        // Bowed legs down to the bottom of the hit circle (they stay planted while dancing)
+        ctx.lineWidth = 6;
+        [-1, 1].forEach(side => {
+            ctx.beginPath();
+            ctx.moveTo(x + side * 6, y + 6);
+            ctx.quadraticCurveTo(x + side * (13 + legSpread), y + r * 0.6, x + side * (8 + legSpread), y + bob + r - 3);
+            ctx.stroke();
+        });
+
+        // Chest and head
+        ctx.beginPath();
+        ctx.ellipse(x, y, 12, 10, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.beginPath();
+        ctx.arc(x, y - 13, 7, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Arms from the shoulders
+        ctx.lineWidth = 5;
+        [[-1, leftArm], [1, rightArm]].forEach(([side, angle]) => {
+            ctx.beginPath();
+            ctx.moveTo(x + side * 10, y - 5);
+            ctx.lineTo(x + side * (10 + Math.sin(angle) * 13), y - 5 + Math.cos(angle) * 13);
+            ctx.stroke();
+        });
+
+        // Brow and eyes
+        ctx.strokeStyle = GORILLA_FACE;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x - 5, y - 16);
+        ctx.lineTo(x + 5, y - 16);
+        ctx.stroke();
+        ctx.fillStyle = GORILLA_FACE;
+        ctx.fillRect(x - 4, y - 14, 2, 2);
+        ctx.fillRect(x + 2, y - 14, 2, 2);
+        ctx.lineCap = "butt"; // Reset
+    }
+
      get_rect() {
          return {
             x: this.x - this.radius,
@@ -320,11 +1288,27 @@ class Gorilla {
 }
 
 class Bullet {
-    constructor(x, y, angle, strength, firingGorillaIndex) { // Added firingGorillaIndex
+    // gravity: downward acceleration from the match settings. blastScale: multiplies every blast radius
+    // (the settings' explosion radius relative to the default banana blast).
+    constructor(x, y, angle, strength, firingGorillaIndex, wind = 0, weaponKey = 'banana', gravity = GRAVITY, blastScale = 1) { // Added firingGorillaIndex
         this.x = x;
         this.y = y;
+        this.weaponKey = weaponKey;
+        this.weapon = WEAPONS[weaponKey];
+        this.size = this.weapon.size;
+        this.gravity = gravity;
+        this.blastScale = blastScale;
+        this.blastRadius = this.weapon.blastRadius * blastScale;
+        this.isFragment = false; // Set on the pieces of a cluster bomb
+        this.digsLeft = this.weapon.digBuildings || 0; // Buildings a digger may still tunnel through
+        this.digBuilding = null; // Building a digger is currently inside
+        this.bouncesLeft = this.weapon.bounces || 0;
+        this.prevX = x; // Position before the last physics step, for render interpolation
+        this.prevY = y;
         this.firingGorillaIndex = firingGorillaIndex; // Store who fired it
+        this.wind = wind; // Horizontal acceleration, fixed for the whole flight
         this.timeAlive = 0; // Initialize time alive
+        this.path = null; // Points visited, once start_path() turns recording on (the AI's simulated shots don't record)
 
         const radAngle = angle * Math.PI / 180;
         // Apply speed multiplier to initial velocity
@@ -333,69 +1317,151 @@ class Bullet {
         this.vy = -initialSpeed * Math.sin(radAngle); // Negative because Y increases downwards
     }
 
+    // Called with PHYSICS_STEP. Acceleration (gravity + wind) is constant during a step, so the
+    // position update below is exact rather than an Euler approximation.
     update(deltaTime) {
         this.timeAlive += deltaTime; // Increment time alive
-        // Simple Euler integration
-        this.x += this.vx * deltaTime;
-        this.y += this.vy * deltaTime;
-        this.vy += GRAVITY * deltaTime;
+        this.prevX = this.x;
+        this.prevY = this.y;
+        const ax = this.wind;
+        const ay = this.gravity;
+        this.x += this.vx * deltaTime + 0.5 * ax * deltaTime * deltaTime;
+        this.y += this.vy * deltaTime + 0.5 * ay * deltaTime * deltaTime;
+        this.vx += ax * deltaTime;
+        this.vy += ay * deltaTime;
+        if (this.path) this.path.push({ x: this.x, y: this.y });
     }
 
-    draw(ctx) {
-        ctx.fillStyle = YELLOW;
-        // Draw bullet centered
-        ctx.fillRect(this.x - BULLET_SIZE / 2, this.y - BULLET_SIZE / 2, BULLET_SIZE, BULLET_SIZE);
+    // Starts recording the flight for the trail. Returns the path, which keeps growing until the bullet is gone.
+    start_path() {
+        this.path = [{ x: this.x, y: this.y }];
+        return this.path;
+    }
+
+    // alpha (0-1) is how far the render time is between the previous and current physics step
+    draw(ctx, alpha = 1) {
+        const drawX = this.prevX + (this.x - this.prevX) * alpha;
+        const drawY = this.prevY + (this.y - this.prevY) * alpha;
+        // Lined up with the direction of flight, tumbling end over end (the hit test only uses x, y and size)
+        const spin = this.timeAlive * BANANA_SPIN_SPEED * (this.vx < 0 ? -1 : 1);
+        ctx.save();
+        ctx.translate(drawX, drawY);
+        ctx.rotate(Math.atan2(this.vy, this.vx) + spin);
+        ctx.fillStyle = this.weapon.color;
+        if (this.weapon.banana) {
+            // A crescent: the outer curve, then back along the inner one
+            const s = this.size * 1.2;
+            ctx.beginPath();
+            ctx.arc(0, -s * 0.6, s, Math.PI * 0.2, Math.PI * 0.8);
+            ctx.arc(0, -s * 1.1, s * 1.1, Math.PI * 0.75, Math.PI * 0.25, true);
+            ctx.closePath();
+            ctx.fill();
+            ctx.strokeStyle = BANANA_OUTLINE;
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        } else {
+            ctx.fillRect(-this.size / 2, -this.size / 2, this.size, this.size);
+        }
+        ctx.restore();
+    }
+
+    // Cluster bombs split once they stop climbing
+    should_split() {
+        return this.weapon.clusterCount && !this.isFragment && this.vy >= 0;
+    }
+
+    // Splits a cluster bomb into fragments fanned out around its current velocity
+    split() {
+        const count = this.weapon.clusterCount;
+        const fragments = [];
+        for (let i = 0; i < count; i++) {
+            const fragment = new Bullet(this.x, this.y, 0, 0, this.firingGorillaIndex, this.wind, this.weaponKey, this.gravity, this.blastScale);
+            fragment.vx = this.vx + (i - (count - 1) / 2) * this.weapon.fragmentSpread;
+            fragment.vy = this.vy;
+            fragment.timeAlive = this.timeAlive; // Keeps the (long expired) immunity timer
+            fragment.isFragment = true;
+            fragment.size = this.size / 2;
+            fragment.blastRadius = this.weapon.fragmentBlast * this.blastScale;
+            if (this.path) fragment.start_path(); // Each fragment's arc starts where the bomb split
+            fragments.push(fragment);
+        }
+        return fragments;
+    }
+
+    // Digger: true if this building hit should be tunnelled through instead of exploding
+    digs_through(hit, buildings) {
+        const building = buildings.find(b => hit.x >= b.x && hit.x < b.x + b.width) || null;
+        if (building && building === this.digBuilding) return true; // Still inside the same building
+        if (this.digsLeft <= 0) return false;
+        this.digsLeft--;
+        this.digBuilding = building;
+        return true;
     }
 
-    check_collision(buildings, gorillas) { // Removed 'turn' - use firingGorillaIndex instead
-        // Use bullet center for collision checks
-        const checkX = this.x;
-        const checkY = this.y;
+    // Bouncer: reflects off the surface it hit. Returns false (explode) if it's too slow to bounce.
+    bounce(hit, terrain) {
+        const speed = Math.hypot(this.vx, this.vy);
+        if (speed < BOUNCE_MIN_SPEED) return false;
+
+        // Back off the surface along the incoming direction
+        this.x = hit.x - (this.vx / speed) * 3;
+        this.y = hit.y - (this.vy / speed) * 3;
+
+        if (hit.type === "ground") {
+            this.vy = -Math.abs(this.vy);
+        } else {
+            // Probe the mask to see whether a wall (blocks x), a roof/floor (blocks y) or a corner was hit
+            const blockedX = terrain.is_solid(this.x + Math.sign(this.vx) * 4, this.y);
+            const blockedY = terrain.is_solid(this.x, this.y + Math.sign(this.vy) * 4);
+            if (blockedX || !blockedY) this.vx = -this.vx;
+            if (blockedY || !blockedX) this.vy = -this.vy;
+        }
+
+        this.vx *= this.weapon.restitution;
+        this.vy *= this.weapon.restitution;
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.bouncesLeft--;
+        return true;
+    }
+
+    // Swept collision: tests the whole path travelled during the last step (prevX/prevY -> x/y)
+    // against every target and returns the EARLIEST impact along it, so fast shots can't tunnel
+    // through a gorilla or a thin building between two steps.
+    // Buildings are only needed for the firing-building immunity; solidity comes from the terrain mask.
+    check_collision(buildings, gorillas, terrain) { // Removed 'turn' - use firingGorillaIndex instead
+        const x0 = this.prevX;
+        const y0 = this.prevY;
+        const x1 = this.x;
+        const y1 = this.y;
 
         // --- Immunity Check ---
         const isImmune = this.timeAlive < BULLET_IMMUNITY_DURATION;
 
-        // Define bullet rect for AABB checks
-        const bulletRect = {
-            x: this.x - BULLET_SIZE / 2,
-            y: this.y - BULLET_SIZE / 2,
-            width: BULLET_SIZE,
-            height: BULLET_SIZE
+        let earliest = null; // { t, hit } with t in [0, 1] along the segment
+        const consider = (t, hit) => {
+            if (t !== null && (earliest === null || t < earliest.t)) {
+                earliest = { t, hit };
+            }
         };
+        const pointAt = (t) => ({ x: x0 + (x1 - x0) * t, y: y0 + (y1 - y0) * t });
 
-        // --- Ground and Wall Checks (Apply regardless of immunity) ---
-        if (checkY > SCREEN_HEIGHT) {
-            return { type: "ground", x: checkX, y: SCREEN_HEIGHT };
-        }
-        if (checkX < 0 || checkX > SCREEN_WIDTH) {
-            return { type: "wall", x: checkX, y: checkY };
-        }
-
-        // --- Gorilla Checks ---
+        // --- Gorilla Checks (bullet center vs circle grown by the bullet's half size) ---
         for (let i = 0; i < gorillas.length; i++) {
+            if (i === this.firingGorillaIndex && isImmune) {
+                // Bullet is immune to the gorilla that fired it
+                continue;
+            }
             const gorilla = gorillas[i];
-            const gorillaRect = gorilla.get_rect();
-
-            if (rectOverlap(bulletRect, gorillaRect)) {
-                if (i === this.firingGorillaIndex && isImmune) {
-                    // Bullet is immune to the gorilla that fired it
-                    // console.log("Immune collision with self"); // Debug
-                    continue; // Skip this collision check
-                } else if (i === this.firingGorillaIndex) {
-                     // Hit self *after* immunity
-                     console.log("Hit self!");
-                     destroyedCircles.push({ x: checkX, y: checkY, radius: DESTROYED_CIRCLE_SIZE });
-                     // Treat self-hit like a building hit for damage calculation
-                     // Return structure needs to be consistent, pass targetIndex
-                     return { type: "direct", targetIndex: i, x: checkX, y: checkY };
-                } else {
-                    // Direct hit on opponent
-                    return { type: "direct", targetIndex: i, x: checkX, y: checkY };
-                }
+            if (gorilla.health <= 0) continue; // Eliminated gorillas (3-4 player games) are out of play
+            const t = segment_circle_entry(x0, y0, x1, y1, gorilla.x, gorilla.y, gorilla.radius + this.size / 2);
+            if (t !== null) {
+                // Direct hit on opponent, or on self *after* immunity (handled the same way)
+                const p = pointAt(t);
+                consider(t, { type: "direct", targetIndex: i, x: p.x, y: p.y });
             }
         }
 
-
         // --- Building Checks ---
         // Find the building the firing gorilla is approximately on (for immunity)
         let firingBuilding = null;
@@ -409,123 +1475,1568 @@ class Bullet {
                      break;
                  }
              }
-             // Debug log if firing building not found when expected
-             // if (!firingBuilding) console.log("Could not find firing building during immunity check");
         }
 
+        // March along the path through the terrain mask, at least once per cell, and stop at the first solid cell.
+        // The crater is carved by Game.handle_bullet_hit, so this check stays side-effect free
+        // and the AI can reuse it for simulated shots.
+        const length = Math.hypot(x1 - x0, y1 - y0);
+        const samples = Math.max(1, Math.ceil(length / (terrain.cellSize / 2)));
+        for (let i = 0; i <= samples; i++) {
+            const t = i / samples;
+            const p = pointAt(t);
+            if (!terrain.is_solid(p.x, p.y)) continue;
+            // Apply immunity if colliding with the firing gorilla's building
+            if (firingBuilding && p.x >= firingBuilding.x && p.x < firingBuilding.x + firingBuilding.width) continue;
+            consider(t, { type: "building", x: p.x, y: p.y });
+            break;
+        }
 
-        for (const building of buildings) {
-            const buildingRect = building.get_rect();
-
-            if (rectOverlap(bulletRect, buildingRect)) {
-                // Narrow phase: Check vertical position relative to building and screen
-                if (checkY >= buildingRect.y && checkY <= SCREEN_HEIGHT) {
-                    // Apply immunity if colliding with the firing gorilla's building
-                    if (isImmune && building === firingBuilding) {
-                        // console.log("Immune collision with firing building"); // Debug log
-                        continue; // Skip collision check for this specific building during immunity
-                    }
+        // --- Ground and Wall Checks (Apply regardless of immunity) ---
+        if (y1 > SCREEN_HEIGHT) {
+            const t = y1 === y0 ? 0 : Math.max(0, (SCREEN_HEIGHT - y0) / (y1 - y0));
+            consider(t, { type: "ground", x: pointAt(t).x, y: SCREEN_HEIGHT });
+        }
+        if (x1 < 0 || x1 > SCREEN_WIDTH) {
+            const edge = x1 < 0 ? 0 : SCREEN_WIDTH;
+            const t = x1 === x0 ? 0 : Math.max(0, (edge - x0) / (x1 - x0));
+            consider(t, { type: "wall", x: edge, y: pointAt(t).y });
+        }
 
-                    // If not immune or not the firing building, check if the point is destroyed
-                    if (!building.is_point_destroyed(checkX, checkY)) {
-                        // Hit a SOLID (non-destroyed) part.
-                        destroyedCircles.push({ x: checkX, y: checkY, radius: DESTROYED_CIRCLE_SIZE });
-                        return { type: "building", x: checkX, y: checkY };
-                    }
-                    // else: Hit a destroyed part, bullet continues.
-                }
-            }
+        if (earliest) {
+            // Put the bullet where it actually hit, so anything drawn this frame matches the explosion
+            this.x = earliest.hit.x;
+            this.y = earliest.hit.y;
+            return earliest.hit;
         }
+        return null; // No solid collision detected in this step
+    }
+}
 
-        return null; // No solid collision detected in this frame
+// --- Swept Collision Helpers ---
+// All take a segment (x0, y0) -> (x1, y1) and work in terms of t, the fraction along it (0 = start, 1 = end).
+
+// Range of t for which the line through the segment is inside the circle, or null if the segment never is.
+// Not clipped to [0, 1]: an exit past 1 means the segment ends inside the circle.
+function segment_circle_interval(x0, y0, x1, y1, cx, cy, r) {
+    const dx = x1 - x0;
+    const dy = y1 - y0;
+    const fx = x0 - cx;
+    const fy = y0 - cy;
+    const a = dx * dx + dy * dy;
+    const c = fx * fx + fy * fy - r * r;
+    if (a < 1e-12) {
+        // Zero-length segment: it's a point, either inside or not
+        return c <= 0 ? [-Infinity, Infinity] : null;
     }
+    const b = 2 * (fx * dx + fy * dy);
+    const disc = b * b - 4 * a * c;
+    if (disc < 0) return null;
+    const sqrtDisc = Math.sqrt(disc);
+    const tEnter = (-b - sqrtDisc) / (2 * a);
+    const tExit = (-b + sqrtDisc) / (2 * a);
+    if (tExit < 0 || tEnter > 1) return null;
+    return [tEnter, tExit];
 }
 
-// Simple AABB collision check
-function rectOverlap(rect1, rect2) {
-    return rect1.x < rect2.x + rect2.width &&
-           rect1.x + rect1.width > rect2.x &&
-           rect1.y < rect2.y + rect2.height &&
-           rect1.y + rect1.height > rect2.y;
+// First t at which the segment touches the circle (0 if it starts inside), or null.
+function segment_circle_entry(x0, y0, x1, y1, cx, cy, r) {
+    const interval = segment_circle_interval(x0, y0, x1, y1, cx, cy, r);
+    return interval ? Math.max(0, interval[0]) : null;
 }
 
 
-class Game {
-    constructor() {
-        this.buildings = this.create_buildings();
-        this.gorillas = this.place_gorillas(); // Ensure this is called after buildings are created
-        this.sky = new Sky();
-        this.bullet = null;
-        this.turn = 0; // 0 for Player 1, 1 for Player 2
-        this.angles = [45, 135]; // P1 aims right, P2 aims left initially
-        this.strengths = [100, 100]; // Initial strength values
-        this.scores = [0, 0];
-        this.shots_fired = [0, 0];
-        this.startTime = performance.now(); // Start time for the current round
-        this.totalTimePaused = 0; // Time accumulated from previous rounds or pauses
+// Computer-controlled player. Finds a shot by simulating candidates with the real
+// Bullet physics, then adds difficulty-based error before aiming and firing.
+class AIPlayer {
+    constructor(playerIndex, level = 'normal') {
+        this.playerIndex = playerIndex;
+        this.level = level;
+        this.reset_round();
+    }
+
+    get settings() {
+        return AI_LEVELS[this.level];
+    }
+
+    reset_round() {
+        this.plan = null; // { startAngle, startStrength, angle, strength, timer }
+        this.search = null; // find_best_shot while it's still running
+        this.simulatedSteps = 0; // Bullet steps simulated so far, to spread the search evenly
+        this.misses = 0; // Consecutive misses this round (used by learning levels)
+        this.lastShortfall = 0; // -1 = last shot fell short, 1 = overshot, 0 = unknown
+        this.target = null; // Gorilla the current plan aims at
+    }
+
+    // Runs a shot to completion without touching the game state. Returns the hit (or null if it never lands).
+    simulate_shot(game, angle, strength) {
+        const bullet = game.create_bullet(this.playerIndex, angle, strength);
+        for (let t = 0; t < AI_SIM_MAX_TIME; t += PHYSICS_STEP) {
+            bullet.update(PHYSICS_STEP); // Same fixed step as the real game, so the simulation is exact
+            this.simulatedSteps++;
+            const hit = bullet.check_collision(game.buildings, game.gorillas, game.terrain);
+            if (hit) return hit;
+        }
+        return null;
+    }
+
+    // Lower is better. Direct hits on any opponent win, hurting ourselves or a teammate is heavily penalised.
+    score_hit(game, hit, target) {
+        if (!hit) return Infinity;
+        if (hit.type === "direct") {
+            return game.is_opponent(hit.targetIndex, this.playerIndex) ? -1 : Infinity;
+        }
+        let score = Math.hypot(hit.x - target.x, hit.y - target.y);
+        if (hit.type === "building") {
+            game.gorillas.forEach((friend, idx) => {
+                if (friend.health <= 0 || game.is_opponent(idx, this.playerIndex)) return;
+                if (Math.hypot(hit.x - friend.x, hit.y - friend.y) < game.settings.explosionRadius + friend.radius) {
+                    score += 10000; // Would catch ourselves (or a teammate) in the blast
+                }
+            });
+        }
+        return score;
+    }
+
+    // Aims at the closest opponent still standing
+    pick_target(game) {
+        const own = game.gorillas[this.playerIndex];
+        let target = null;
+        game.gorillas.forEach((gorilla, idx) => {
+            if (gorilla.health <= 0 || !game.is_opponent(idx, this.playerIndex)) return;
+            if (!target || Math.abs(gorilla.x - own.x) < Math.abs(target.x - own.x)) {
+                target = gorilla;
+            }
+        });
+        return target;
+    }
+
+    // A generator: yields after each simulated shot so update() can spread the search over several steps,
+    // and returns the best shot found
+    *find_best_shot(game, target) {
+        const own = game.gorillas[this.playerIndex];
+        const aimRight = target.x >= own.x;
+        const minAngle = aimRight ? 5 : 95;
+        const maxAngle = aimRight ? 85 : 175;
+
+        let best = { angle: aimRight ? 45 : 135, strength: 100, score: Infinity, hit: null };
+        const tryShot = (angle, strength) => {
+            angle = Math.max(0, Math.min(180, angle));
+            strength = Math.max(MIN_SHOOT_STRENGTH, Math.min(MAX_SHOOT_STRENGTH, strength));
+            const hit = this.simulate_shot(game, angle, strength);
+            const score = this.score_hit(game, hit, target);
+            if (score < best.score) best = { angle, strength, score, hit };
+        };
+
+        // Coarse grid over the useful half of the aiming range (the refinement covers the strengths in between)
+        for (let angle = minAngle; angle <= maxAngle; angle += 5) {
+            for (let strength = MIN_SHOOT_STRENGTH; strength <= MAX_SHOOT_STRENGTH; strength += 20) {
+                tryShot(angle, strength);
+                yield;
+            }
+        }
+        // Refine around the best candidate
+        const coarse = best;
+        for (let da = -4; da <= 4; da++) {
+            for (let ds = -10; ds <= 10; ds += 2) {
+                tryShot(coarse.angle + da, coarse.strength + ds);
+                yield;
+            }
+        }
+        return best;
+    }
+
+    // Picks the final (imperfect) angle and strength for this turn from the best shot the search found
+    plan_shot(game, best) {
+        const settings = this.settings;
+
+        const errorScale = settings.learns ? Math.pow(AI_LEARN_FACTOR, this.misses) : 1;
+        const angleNoise = (game.rng.next() * 2 - 1) * settings.angleError * errorScale;
+        let strengthNoise = (game.rng.next() * 2 - 1) * settings.strengthError * errorScale;
+        // Learning levels don't repeat the same kind of miss: if the last shot fell short, don't undershoot again
+        if (settings.learns && this.lastShortfall !== 0 && Math.sign(strengthNoise) === this.lastShortfall) {
+            strengthNoise = -strengthNoise;
+        }
+
+        this.plan = {
+            startAngle: game.angles[this.playerIndex],
+            startStrength: game.strengths[this.playerIndex],
+            angle: Math.max(0, Math.min(180, best.angle + angleNoise)),
+            strength: Math.max(MIN_SHOOT_STRENGTH, Math.min(MAX_SHOOT_STRENGTH, best.strength + strengthNoise)),
+            timer: 0
+        };
+    }
+
+    update(game, deltaTime) {
+        if (!this.plan) {
+            // Think first, a slice of the search per step; the aim arrow waits until there's a plan
+            if (!this.search) {
+                this.target = this.pick_target(game); // record_result measures the miss against this one
+                this.search = this.find_best_shot(game, this.target);
+            }
+            const budgetEnd = this.simulatedSteps + AI_SEARCH_STEPS_PER_STEP;
+            let result = { done: false };
+            while (!result.done && this.simulatedSteps < budgetEnd) {
+                result = this.search.next();
+            }
+            if (!result.done) return;
+            this.search = null;
+            this.plan_shot(game, result.value);
+        }
+        const plan = this.plan;
+        plan.timer += deltaTime;
+
+        // Ease the aim arrow from its old position to the chosen one
+        const t = Math.min(1, plan.timer / this.settings.thinkTime);
+        const eased = t * t * (3 - 2 * t); // Smoothstep
+        game.angles[this.playerIndex] = plan.startAngle + (plan.angle - plan.startAngle) * eased;
+        game.strengths[this.playerIndex] = plan.startStrength + (plan.strength - plan.startStrength) * eased;
+
+        if (plan.timer >= this.settings.thinkTime + AI_FIRE_PAUSE) {
+            this.plan = null;
+            game.shoot();
+        }
+    }
+
+    // Called after one of our shots lands, so learning levels can adjust the next one
+    record_result(game, hit) {
+        const target = this.target || this.pick_target(game);
+        if (hit.type === "direct" && game.is_opponent(hit.targetIndex, this.playerIndex)) {
+            this.misses = 0;
+            this.lastShortfall = 0;
+            return;
+        }
+        this.misses++;
+        const own = game.gorillas[this.playerIndex];
+        const landedDistance = Math.abs(hit.x - own.x);
+        const targetDistance = Math.abs(target.x - own.x);
+        this.lastShortfall = landedDistance < targetDistance ? -1 : 1;
+    }
+}
+
+
+// Optional follow camera. Zooms out around the bottom middle of the screen so a high lob stays in
+// view along with both gorillas (the walls end a shot, so it never has to look sideways), then eases
+// back to the normal framing. Cosmetic only: it's updated every frame, not by the physics.
+class Camera {
+    constructor() {
+        this.zoom = 1; // 1 = the normal full-screen view
+    }
+
+    // bullets: the projectiles to keep in view (none lets it return to normal)
+    update(deltaTime, bullets) {
+        let target = 1;
+        if (bullets.length > 0) {
+            const top = Math.min(...bullets.map(b => b.y)) - CAMERA_MARGIN;
+            if (top < 0) target = Math.max(CAMERA_MIN_ZOOM, SCREEN_HEIGHT / (SCREEN_HEIGHT - top));
+        }
+        this.zoom += (target - this.zoom) * (1 - Math.exp(-deltaTime / CAMERA_EASE_TIME));
+        if (Math.abs(this.zoom - target) < 0.001) this.zoom = target;
+    }
+
+    apply(ctx) {
+        ctx.translate(SCREEN_WIDTH / 2, SCREEN_HEIGHT);
+        ctx.scale(this.zoom, this.zoom);
+        ctx.translate(-SCREEN_WIDTH / 2, -SCREEN_HEIGHT);
+    }
+
+    // Game world -> canvas position
+    to_screen(point) {
+        return { x: SCREEN_WIDTH / 2 + (point.x - SCREEN_WIDTH / 2) * this.zoom, y: SCREEN_HEIGHT + (point.y - SCREEN_HEIGHT) * this.zoom };
+    }
+
+    // Canvas position (e.g. a pointer) -> game world
+    to_world(point) {
+        return { x: SCREEN_WIDTH / 2 + (point.x - SCREEN_WIDTH / 2) / this.zoom, y: SCREEN_HEIGHT + (point.y - SCREEN_HEIGHT) / this.zoom };
+    }
+}
+
+
+// Explosion effects: an expanding fireball, debris in the colour of whatever was hit, smoke puffs and a
+// screen shake. Cosmetic (randomised with the cosmetic RNG) except for busyTime, which the turn waits
+// on and which only depends on when the explosions happened, so online games stay in step.
+class ParticleSystem {
+    constructor() {
+        this.clear();
+    }
+
+    clear() {
+        this.particles = []; // { kind: 'fireball' | 'debris' | 'smoke', x, y, vx, vy, size, color, age, life }
+        this.busyTime = 0; // Seconds until the last explosion has played out
+        this.shakeStrength = 0; // Pixels at the start of the shake, fading out over SHAKE_TIME
+        this.shakeTime = 0;
+        this.clock = 0; // Drives the shake's wobble
+    }
+
+    add(particle) {
+        if (this.particles.length >= MAX_PARTICLES) this.particles.shift();
+        this.particles.push({ ...particle, age: 0 });
+    }
+
+    explode(x, y, radius, debrisColor, rng) {
+        this.add({ kind: 'fireball', x, y, vx: 0, vy: 0, size: radius, color: YELLOW, life: FIREBALL_TIME });
+        const debris = Math.max(4, Math.round(radius * DEBRIS_PER_RADIUS));
+        for (let i = 0; i < debris; i++) {
+            const angle = -Math.PI * rng.next(); // Thrown up and out, then falls
+            const speed = (0.5 + rng.next()) * radius * DEBRIS_SPEED_PER_RADIUS;
+            this.add({ kind: 'debris', x, y, vx: Math.cos(angle) * speed, vy: Math.sin(angle) * speed,
+                size: 3 + rng.int(5), color: debrisColor, life: EXPLOSION_TIME * (0.6 + 0.4 * rng.next()) });
+        }
+        for (let i = 0; i < SMOKE_PUFFS; i++) {
+            this.add({ kind: 'smoke', x: x + (rng.next() - 0.5) * radius, y: y + (rng.next() - 0.5) * radius,
+                vx: (rng.next() - 0.5) * 30, vy: -20 - rng.next() * 30, size: radius * (0.3 + 0.3 * rng.next()),
+                color: GREY, life: SMOKE_TIME * (0.7 + 0.3 * rng.next()) });
+        }
+        this.busyTime = Math.max(this.busyTime, EXPLOSION_TIME);
+        this.shakeStrength = Math.max(this.current_shake(), radius * SHAKE_PER_RADIUS);
+        this.shakeTime = SHAKE_TIME;
+    }
+
+    update(deltaTime) {
+        this.clock += deltaTime;
+        this.busyTime = Math.max(0, this.busyTime - deltaTime);
+        this.shakeTime = Math.max(0, this.shakeTime - deltaTime);
+        this.particles = this.particles.filter(p => {
+            p.age += deltaTime;
+            if (p.age >= p.life) return false;
+            if (p.kind === 'debris') p.vy += DEBRIS_GRAVITY * deltaTime;
+            if (p.kind === 'smoke') p.size += SMOKE_GROWTH * deltaTime;
+            p.x += p.vx * deltaTime;
+            p.y += p.vy * deltaTime;
+            return true;
+        });
+    }
+
+    // True while an explosion is still playing out (smoke may linger after)
+    is_busy() {
+        return this.busyTime > 0;
+    }
+
+    current_shake() {
+        return this.shakeStrength * this.shakeTime / SHAKE_TIME;
+    }
+
+    // How far to nudge the playfield this frame
+    shake_offset() {
+        const strength = this.current_shake();
+        if (strength <= 0) return { x: 0, y: 0 };
+        return { x: strength * Math.sin(this.clock * 97), y: strength * Math.cos(this.clock * 73) };
+    }
+
+    // Smoke at the back, then fireballs, with the debris flying in front
+    draw(ctx) {
+        ['smoke', 'fireball', 'debris'].forEach(kind => this.particles.forEach(p => {
+            if (p.kind !== kind) return;
+            const t = p.age / p.life; // 0 -> 1 over the particle's life
+            if (kind === 'fireball') {
+                const radius = p.size * Math.sqrt(t * 2 > 1 ? 1 : t * 2); // Full size halfway through, then fades
+                ctx.globalAlpha = 1 - t;
+                ctx.fillStyle = FIREBALL_ORANGE;
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, radius, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.fillStyle = p.color;
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, radius * 0.6, 0, Math.PI * 2);
+                ctx.fill();
+            } else if (kind === 'smoke') {
+                ctx.globalAlpha = 0.5 * (1 - t);
+                ctx.fillStyle = p.color;
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
+                ctx.fill();
+            } else {
+                ctx.globalAlpha = 1 - t * t;
+                ctx.fillStyle = p.color;
+                ctx.fillRect(p.x - p.size / 2, p.y - p.size / 2, p.size, p.size);
+            }
+        }));
+        ctx.globalAlpha = 1;
+    }
+}
+
+
+// Game controllers through the Gamepad API. Each pad gets the first free player slot when it connects
+// (Start moves it on to the next one). Pads are polled every frame from the game loop.
+class GamepadInput {
+    constructor() {
+        this.slots = new Array(MAX_PLAYERS).fill(null); // Gamepad index for each player slot
+        this.pads = []; // This frame's snapshot of the connected pads
+        this.lastButtons = {}; // Gamepad index -> which buttons were down at the last poll
+        this.notice = null; // { text, until } for the on-screen "controller connected" notice
+    }
+
+    get_pads() {
+        if (!navigator.getGamepads) return [];
+        return Array.from(navigator.getGamepads()).filter(pad => pad && pad.connected);
+    }
+
+    connect(pad) {
+        if (this.slots.includes(pad.index)) return;
+        const slot = this.slots.indexOf(null);
+        if (slot === -1) return; // Every player already has a controller
+        this.slots[slot] = pad.index;
+        this.lastButtons[pad.index] = pad.buttons.map(button => button.pressed); // A button held while plugging in isn't a press
+        this.show_notice(`Controller connected: P${slot + 1}`);
+    }
+
+    disconnect(pad) {
+        const slot = this.slots.indexOf(pad.index);
+        if (slot === -1) return;
+        this.slots[slot] = null;
+        delete this.lastButtons[pad.index];
+        this.show_notice(`Controller disconnected: P${slot + 1}`);
+    }
+
+    // Start button: hands the pad to the next player slot that doesn't have one
+    next_slot(padIndex) {
+        const current = this.slots.indexOf(padIndex);
+        for (let step = 1; step < MAX_PLAYERS; step++) {
+            const slot = (current + step) % MAX_PLAYERS;
+            if (this.slots[slot] === null) {
+                this.slots[current] = null;
+                this.slots[slot] = padIndex;
+                this.show_notice(`Controller is now P${slot + 1}`);
+                return;
+            }
+        }
+    }
+
+    show_notice(text) {
+        this.notice = { text, until: performance.now() + GAMEPAD_NOTICE_TIME };
+    }
+
+    // Reads every pad (browsers only hand out snapshots, so this has to happen each frame).
+    // Returns the buttons pressed since the last poll as [{ pad, slot, button }].
+    poll() {
+        this.pads = this.get_pads();
+        // Hot-plugging: the connect/disconnect events don't fire everywhere, so compare with last frame too
+        this.pads.forEach(pad => this.connect(pad));
+        this.slots.forEach(index => {
+            if (index !== null && !this.pads.some(pad => pad.index === index)) this.disconnect({ index });
+        });
+
+        const presses = [];
+        this.pads.forEach(pad => {
+            const slot = this.slots.indexOf(pad.index);
+            if (slot === -1) return;
+            const last = this.lastButtons[pad.index] || [];
+            pad.buttons.forEach((button, idx) => {
+                if (button.pressed && !last[idx]) presses.push({ pad: pad.index, slot, button: idx });
+            });
+            this.lastButtons[pad.index] = pad.buttons.map(button => button.pressed);
+        });
+        return presses;
+    }
+
+    has_pad(slot) {
+        return this.slots[slot] !== null;
+    }
+
+    // 0-1: how far a slot's pad pushes towards an aim action. The d-pad counts as all the way;
+    // the stick is scaled from the edge of the dead zone, so small pushes make fine adjustments.
+    get_amount(slot, action) {
+        const pad = this.pads.find(p => p.index === this.slots[slot]);
+        if (!pad) return 0;
+        const aim = GAMEPAD_AIM[action];
+        if (pad.buttons[aim.dpad] && pad.buttons[aim.dpad].pressed) return 1;
+        const value = (pad.axes[aim.axis] || 0) * aim.sign;
+        return value > GAMEPAD_DEAD_ZONE ? Math.min(1, (value - GAMEPAD_DEAD_ZONE) / (1 - GAMEPAD_DEAD_ZONE)) : 0;
+    }
+
+    draw_notice(ctx) {
+        if (!this.notice || performance.now() > this.notice.until) return;
+        ctx.font = "22px sans-serif";
+        const width = ctx.measureText(this.notice.text).width + 40;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(SCREEN_WIDTH / 2 - width / 2, SCREEN_HEIGHT - 80, width, 44);
+        ctx.fillStyle = WHITE;
+        ctx.textAlign = "center";
+        ctx.fillText(`🎮 ${this.notice.text}`, SCREEN_WIDTH / 2, SCREEN_HEIGHT - 50);
+        ctx.textAlign = "left";
+        ctx.font = "20px sans-serif";
+    }
+}
+
+
+// Client side of online play. Talks to the relay in server/relay.js, which pairs two players
+// by lobby code and forwards their messages. Reconnects on its own if the connection drops.
+// onPayload(payload) receives game messages from the opponent, onStatus() is called whenever
+// the connection or opponent state changes.
+class NetworkClient {
+    constructor(url, onPayload, onStatus) {
+        this.url = url;
+        this.onPayload = onPayload;
+        this.onStatus = onStatus;
+        this.socket = null;
+        this.code = null; // Lobby code
+        this.token = null; // Proves who we are when rejoining after a drop
+        this.playerIndex = null; // 0 = host (Player 1), 1 = guest (Player 2). Someone joining after the host left gets 0.
+        this.status = 'connecting'; // connecting | waiting | ready | opponent_disconnected | reconnecting | opponent_left | error
+        this.error = "";
+        this.outbox = []; // Messages sent while our own connection was down
+        this.reconnectDelay = NETWORK_RECONNECT_MIN_MS;
+        this.pendingRequest = null; // First message to send once connected: host or join
+    }
+
+    host() {
+        this.pendingRequest = { type: 'host' };
+        this.connect();
+    }
+
+    join(code) {
+        this.pendingRequest = { type: 'join', code: code.toUpperCase() };
+        this.connect();
+    }
+
+    // True when both players are connected and moves can be exchanged
+    is_ready() {
+        return this.status === 'ready';
+    }
+
+    connect() {
+        let socket;
+        try {
+            socket = new WebSocket(this.url);
+        } catch (err) {
+            this.set_status('error', `Can't reach relay at ${this.url}`);
+            return;
+        }
+        this.socket = socket;
+
+        socket.addEventListener('open', () => {
+            this.reconnectDelay = NETWORK_RECONNECT_MIN_MS;
+            // First connection hosts or joins; later ones reclaim our seat
+            const request = this.token ? { type: 'rejoin', code: this.code, token: this.token } : this.pendingRequest;
+            socket.send(JSON.stringify(request));
+        });
+        socket.addEventListener('message', (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (err) {
+                console.warn("Ignoring malformed relay message", event.data);
+                return;
+            }
+            this.handle_server_message(message);
+        });
+        socket.addEventListener('close', () => {
+            if (this.socket !== socket) return; // Superseded
+            this.socket = null;
+            if (this.status === 'error' || this.status === 'opponent_left') return; // Nothing to go back to
+            this.set_status('reconnecting');
+            setTimeout(() => this.connect(), this.reconnectDelay);
+            this.reconnectDelay = Math.min(this.reconnectDelay * 2, NETWORK_RECONNECT_MAX_MS);
+        });
+    }
+
+    handle_server_message(message) {
+        switch (message.type) {
+            case 'hosted':
+                Object.assign(this, { code: message.code, token: message.token, playerIndex: message.playerIndex });
+                this.set_status('waiting');
+                break;
+            case 'joined':
+                Object.assign(this, { code: message.code, token: message.token, playerIndex: message.playerIndex });
+                this.set_status('ready');
+                break;
+            case 'rejoined':
+                this.set_status(message.opponentConnected ? 'ready' : 'opponent_disconnected');
+                this.flush_outbox();
+                break;
+            case 'opponent_joined':
+            case 'opponent_reconnected':
+                this.set_status('ready');
+                break;
+            case 'opponent_disconnected':
+                this.set_status('opponent_disconnected');
+                break;
+            case 'opponent_left':
+                this.set_status('opponent_left');
+                break;
+            case 'relay':
+                this.onPayload(message.payload);
+                break;
+            case 'error':
+                this.set_status('error', message.error);
+                if (this.socket) this.socket.close();
+                break;
+            default:
+                console.warn("Unknown relay message", message);
+        }
+    }
+
+    // Sends a game message to the opponent (the relay holds it if they're briefly away)
+    send(payload) {
+        const text = JSON.stringify({ type: 'relay', payload });
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(text);
+        } else {
+            this.outbox.push(text);
+        }
+    }
+
+    flush_outbox() {
+        const queued = this.outbox;
+        this.outbox = [];
+        queued.forEach(text => this.socket.send(text));
+    }
+
+    set_status(status, error = "") {
+        const previous = this.status;
+        this.status = status;
+        this.error = error;
+        this.onStatus(status, previous);
+    }
+
+    // Text for the Game message area, or "" when play can go on normally
+    describe_status() {
+        switch (this.status) {
+            case 'connecting': return `Connecting to relay at ${this.url}...`;
+            case 'waiting': return `Lobby ${this.code} - waiting for an opponent. Share the link with ?join=${this.code}`;
+            case 'opponent_disconnected': return "Opponent disconnected - waiting for them to reconnect...";
+            case 'reconnecting': return "Connection lost - reconnecting...";
+            case 'opponent_left': return "Opponent left the match.";
+            case 'error': return `Online error: ${this.error}`;
+            default: return "";
+        }
+    }
+}
+
+// ws:// address of the relay: the server that served the page, or localhost when opened from a file
+function default_relay_url() {
+    const secure = window.location.protocol === 'https:';
+    const host = window.location.host || `localhost:${NETWORK_DEFAULT_PORT}`;
+    return `${secure ? 'wss' : 'ws'}://${host}`;
+}
+
+
+// Synthesized sound effects and jingles (Web Audio). Browsers only allow audio after a user gesture,
+// so the AudioContext is created on the first key press or touch (see unlock()). Until then, and in
+// browsers without Web Audio, every play_* call quietly does nothing.
+class SoundSystem {
+    constructor() {
+        this.context = null;
+        this.master = null; // Gain nodes: effects and music both feed master, which feeds the speakers
+        this.effects = null;
+        this.music = null;
+        this.noiseBuffer = null; // A second of white noise, shared by every explosion
+        this.whistle = null; // { oscillator, gain } while a shot is in flight
+        this.lastTickTime = -Infinity;
+        this.volumes = { master: DEFAULT_SETTINGS.masterVolume, effects: DEFAULT_SETTINGS.effectsVolume, music: DEFAULT_SETTINGS.musicVolume };
+        this.muted = DEFAULT_SETTINGS.muted;
+    }
+
+    // Creates (or resumes) the AudioContext. Must be called from a user gesture handler.
+    unlock() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+        if (!this.context) {
+            this.context = new AudioContextClass();
+            this.master = this.context.createGain();
+            this.master.connect(this.context.destination);
+            this.effects = this.context.createGain();
+            this.effects.connect(this.master);
+            this.music = this.context.createGain();
+            this.music.connect(this.master);
+
+            this.noiseBuffer = this.context.createBuffer(1, this.context.sampleRate, this.context.sampleRate);
+            const data = this.noiseBuffer.getChannelData(0);
+            for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1; // Cosmetic, so Math.random is fine
+            this.apply_volumes();
+        }
+        if (this.context.state === 'suspended') this.context.resume();
+    }
+
+    is_ready() {
+        return this.context !== null && this.context.state === 'running';
+    }
+
+    // Takes the volume fields of a settings object
+    set_volumes(settings) {
+        this.volumes = { master: settings.masterVolume, effects: settings.effectsVolume, music: settings.musicVolume };
+        this.muted = settings.muted;
+        this.apply_volumes();
+    }
+
+    apply_volumes() {
+        if (!this.context) return;
+        const now = this.context.currentTime;
+        this.master.gain.setTargetAtTime(this.muted ? 0 : this.volumes.master, now, 0.02); // Short ramp avoids clicks
+        this.effects.gain.setTargetAtTime(this.volumes.effects, now, 0.02);
+        this.music.gain.setTargetAtTime(this.volumes.music, now, 0.02);
+    }
+
+    // --- Building blocks ---
+
+    // A single oscillator note sliding from freqStart to freqEnd, fading out over duration seconds
+    tone(bus, type, freqStart, freqEnd, duration, volume, delay = 0) {
+        const start = this.context.currentTime + delay;
+        const oscillator = this.context.createOscillator();
+        const gain = this.context.createGain();
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(freqStart, start);
+        oscillator.frequency.exponentialRampToValueAtTime(freqEnd, start + duration);
+        gain.gain.setValueAtTime(volume, start);
+        gain.gain.exponentialRampToValueAtTime(0.001, start + duration);
+        oscillator.connect(gain);
+        gain.connect(bus);
+        oscillator.start(start);
+        oscillator.stop(start + duration);
+    }
+
+    // A burst of filtered noise (explosions, thuds, whooshes)
+    noise(bus, filterType, filterFreq, duration, volume, delay = 0) {
+        const start = this.context.currentTime + delay;
+        const source = this.context.createBufferSource();
+        const filter = this.context.createBiquadFilter();
+        const gain = this.context.createGain();
+        source.buffer = this.noiseBuffer;
+        filter.type = filterType;
+        filter.frequency.setValueAtTime(filterFreq, start);
+        gain.gain.setValueAtTime(volume, start);
+        gain.gain.exponentialRampToValueAtTime(0.001, start + duration);
+        source.connect(filter);
+        filter.connect(gain);
+        gain.connect(bus);
+        source.start(start);
+        source.stop(start + duration);
+    }
+
+    // --- Effects ---
+
+    play_throw() {
+        if (!this.is_ready()) return;
+        this.noise(this.effects, 'bandpass', 1500, 0.2, 0.25); // Whoosh
+        this.tone(this.effects, 'triangle', 250, 500, 0.12, 0.2);
+    }
+
+    // Bigger blasts boom longer
+    play_building_hit(blastRadius) {
+        if (!this.is_ready()) return;
+        const duration = 0.35 + Math.min(blastRadius, 150) / 200;
+        this.noise(this.effects, 'lowpass', 1200, duration, 0.6);
+        this.tone(this.effects, 'sine', 120, 40, duration, 0.5);
+    }
+
+    play_direct_hit() {
+        if (!this.is_ready()) return;
+        this.noise(this.effects, 'lowpass', 2500, 0.8, 0.8);
+        this.tone(this.effects, 'square', 600, 80, 0.35, 0.25); // The gorilla's yelp
+        this.tone(this.effects, 'sine', 90, 30, 0.7, 0.6);
+    }
+
+    play_ground_thud() {
+        if (!this.is_ready()) return;
+        this.tone(this.effects, 'sine', 90, 35, 0.35, 0.6);
+        this.noise(this.effects, 'lowpass', 300, 0.2, 0.4);
+    }
+
+    // A short click while the angle or strength changes
+    play_tick() {
+        if (!this.is_ready()) return;
+        const now = this.context.currentTime;
+        if (now - this.lastTickTime < SOUND_TICK_MIN_INTERVAL) return;
+        this.lastTickTime = now;
+        this.tone(this.effects, 'square', 1800, 1700, 0.02, 0.04);
+    }
+
+    // Round win jingle; the match win gets the longer one
+    play_fanfare(matchWon = false) {
+        if (!this.is_ready()) return;
+        let delay = 0;
+        (matchWon ? FANFARE_MATCH : FANFARE_ROUND).forEach(([freq, duration]) => {
+            this.tone(this.music, 'triangle', freq, freq, duration, 0.3, delay);
+            this.tone(this.music, 'square', freq / 2, freq / 2, duration, 0.05, delay); // A little body underneath
+            delay += duration;
+        });
+    }
+
+    // Called every update with the projectiles in flight. The whistle's pitch follows the highest one's altitude.
+    update_whistle(bullets) {
+        if (!this.is_ready()) return;
+        if (bullets.length === 0) {
+            this.stop_whistle();
+            return;
+        }
+        const highest = Math.min(...bullets.map(b => b.y));
+        const altitude = Math.max(0, Math.min(1, (SCREEN_HEIGHT - highest) / SCREEN_HEIGHT));
+        const freq = SOUND_WHISTLE_MIN_FREQ + altitude * (SOUND_WHISTLE_MAX_FREQ - SOUND_WHISTLE_MIN_FREQ);
+        const now = this.context.currentTime;
+        if (!this.whistle) {
+            const oscillator = this.context.createOscillator();
+            const gain = this.context.createGain();
+            oscillator.type = 'sine';
+            oscillator.frequency.setValueAtTime(freq, now);
+            gain.gain.setValueAtTime(0, now);
+            gain.gain.setTargetAtTime(SOUND_WHISTLE_VOLUME, now, 0.05);
+            oscillator.connect(gain);
+            gain.connect(this.effects);
+            oscillator.start(now);
+            this.whistle = { oscillator, gain };
+        }
+        this.whistle.oscillator.frequency.setTargetAtTime(freq, now, 0.03);
+    }
+
+    stop_whistle() {
+        if (!this.whistle) return;
+        const now = this.context.currentTime;
+        this.whistle.gain.gain.setTargetAtTime(0, now, 0.02);
+        this.whistle.oscillator.stop(now + 0.1);
+        this.whistle = null;
+    }
+}
+
+
+// Career totals and match history, kept in localStorage so they survive reloads.
+// Stored as { version, players: { name: totals }, matches: [newest first] }. Each match has its
+// rounds, and each round has every player's shots, hits, direct hits, splash kills and damage dealt.
+class StatsStore {
+    constructor(storageKey = STATS_STORAGE_KEY) {
+        this.storageKey = storageKey;
+        this.data = this.load();
+    }
+
+    static empty() {
+        return { version: STATS_VERSION, players: {}, matches: [] };
+    }
+
+    // Accepts anything shaped like exported stats; throws on anything else. Every career and match entry
+    // is checked too, since the stats screen and record_round use them as they are.
+    static validate(data) {
+        const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+        const isCount = value => Number.isFinite(value) && value >= 0;
+        if (!isObject(data) || data.version !== STATS_VERSION || !isObject(data.players) || !Array.isArray(data.matches)) {
+            throw new Error("Not a Pyrillas stats file");
+        }
+        for (const [name, career] of Object.entries(data.players)) {
+            if (!isObject(career) || !CAREER_FIELDS.every(field => isCount(career[field]))) {
+                throw new Error(`Bad career totals for ${name}`);
+            }
+        }
+        data.matches.forEach((match, index) => {
+            const valid = isObject(match) &&
+                (typeof match.date === 'string' || Number.isFinite(match.date)) && !isNaN(new Date(match.date)) &&
+                typeof match.format === 'string' && typeof match.teams === 'boolean' &&
+                Array.isArray(match.players) && match.players.every(name => typeof name === 'string') &&
+                (match.winner === null || typeof match.winner === 'string') &&
+                Array.isArray(match.scores) && match.scores.every(isCount) && isCount(match.durationMs) &&
+                Array.isArray(match.rounds) && match.rounds.every(round => isObject(round) && isCount(round.durationMs));
+            if (!valid) throw new Error(`Bad match entry #${index + 1}`);
+        });
+        return data;
+    }
+
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            return saved ? StatsStore.validate(JSON.parse(saved)) : StatsStore.empty();
+        } catch (e) {
+            console.warn("Couldn't load saved stats, starting fresh.", e);
+            return StatsStore.empty();
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.data));
+        } catch (e) {
+            console.warn("Couldn't save stats.", e);
+        }
+    }
+
+    get_career(name) {
+        if (!this.data.players[name]) {
+            this.data.players[name] = {};
+            CAREER_FIELDS.forEach(field => this.data.players[name][field] = 0);
+        }
+        return this.data.players[name];
+    }
+
+    // Winner as it appears in the history: the team, or the player under their stats name
+    side_label(game, index) {
+        return game.team_mode ? TEAM_NAMES[game.team_of(index)] : game.get_stats_name(index);
+    }
+
+    // Adds a finished round to the game's current match entry (starting one if needed) and to the career totals
+    record_round(game, winner, durationMs) {
+        if (!game.matchRecord) {
+            game.matchRecord = {
+                date: new Date().toISOString(),
+                format: MATCH_FORMATS[game.match_format].name,
+                teams: game.team_mode,
+                players: game.gorillas.map((g, idx) => game.get_stats_name(idx)),
+                winner: null, // Stays null if the match is abandoned (or endless)
+                scores: [],
+                durationMs: 0,
+                rounds: []
+            };
+            this.data.matches.unshift(game.matchRecord);
+            this.data.matches.length = Math.min(this.data.matches.length, STATS_HISTORY_LIMIT);
+        }
+
+        const record = game.matchRecord;
+        record.rounds.push({
+            winner: this.side_label(game, winner),
+            durationMs: Math.round(durationMs),
+            players: game.roundStats.map((roundStats, idx) => ({ name: game.get_stats_name(idx), ...roundStats, damage: Math.round(roundStats.damage) }))
+        });
+        record.scores = game.scores.slice();
+        record.durationMs = Math.round(game.totalTimePaused);
+
+        game.roundStats.forEach((roundStats, idx) => {
+            const career = this.get_career(game.get_stats_name(idx));
+            career.rounds++;
+            if (!game.is_opponent(idx, winner)) career.roundWins++;
+            career.shots += roundStats.shots;
+            career.hits += roundStats.hits;
+            career.directHits += roundStats.directHits;
+            career.splashKills += roundStats.splashKills;
+            career.damage += Math.round(roundStats.damage);
+        });
+        this.save();
+    }
+
+    record_match_end(game) {
+        const record = game.matchRecord;
+        if (!record) return;
+        record.winner = this.side_label(game, game.matchWinner);
+        game.gorillas.forEach((g, idx) => {
+            const career = this.get_career(game.get_stats_name(idx));
+            career.matches++;
+            if (!game.is_opponent(idx, game.matchWinner)) career.matchWins++;
+        });
+        game.matchRecord = null;
+        this.save();
+    }
+
+    export_json() {
+        return JSON.stringify(this.data, null, 2);
+    }
+
+    // Replaces the stats in this browser with an exported file. Throws if the file isn't valid.
+    import_json(text) {
+        this.data = StatsStore.validate(JSON.parse(text));
+        this.save();
+        if (game) game.matchRecord = null; // Its old entry is gone; the rest of the match starts a new one
+    }
+
+    // Career rows for the stats screen, most rounds played first
+    get_career_rows() {
+        return Object.entries(this.data.players)
+            .map(([name, career]) => ({ name, ...career }))
+            .sort((a, b) => b.rounds - a.rounds);
+    }
+
+    get_recent_matches(count = STATS_RECENT_MATCHES) {
+        return this.data.matches.slice(0, count);
+    }
+}
+
+
+// The level editor. Works on a copy of a level (see sanitize_level) with the mouse or a finger; the toolbar
+// in section 8 drives it and the game loop draws it in place of the game while it's open.
+// Tools: 'select' drags spawn points, craters and buildings (a building's top and side edges resize it,
+// a crater's rim does the same), 'building' and 'crater' add one wherever you click.
+class LevelEditor {
+    constructor(level) {
+        this.sky = new Sky('day', new SeededRandom(EDITOR_PREVIEW_SEED));
+        this.terrain = new TerrainMask(SCREEN_WIDTH, SCREEN_HEIGHT); // Rebuilt in place after every change
+        this.figure = new Gorilla(0, 0); // Draws the gorilla at each spawn point
+        this.tool = 'select';
+        this.color = BUILDING_HEX_COLORS[1]; // For new buildings
+        this.load(level);
+    }
+
+    load(level) {
+        this.level = sanitize_level(level);
+        // Every level gets all its spawn points in the editor, even a hand-written one with fewer
+        this.level.spawns = this.level.spawns.concat(default_spawns(this.level.buildings).slice(this.level.spawns.length));
+        this.selection = null; // { type: 'building' | 'crater' | 'spawn', index }
+        this.drag = null; // { part, offsetX, offsetY } while the pointer is down on the selection
+        this.modified = false; // Changed since it was loaded or saved
+        this.rebuild();
+    }
+
+    // The preview: buildings with their windows, and the terrain with the craters cut out
+    rebuild() {
+        const rng = new SeededRandom(EDITOR_PREVIEW_SEED);
+        this.buildings = this.level.buildings.map(b => new Building(b.x, b.width, b.height, b.color, rng, this.sky.theme.litWindows));
+        this.terrain.clear();
+        this.buildings.forEach(building => this.terrain.fill_rect(building.get_rect()));
+        this.level.craters.forEach(crater => this.terrain.carve_circle(crater.x, crater.y, crater.radius));
+    }
+
+    // After every edit: clamps the level with the same rules as a loaded file, then redraws the preview
+    changed() {
+        this.level = sanitize_level(this.level);
+        this.modified = true;
+        this.rebuild();
+    }
+
+    selected() {
+        return this.selection ? this.level[`${this.selection.type}s`][this.selection.index] : null;
+    }
+
+    // What's under the point, topmost first: spawn points (the marker or the gorilla), craters, then buildings
+    // (later ones are drawn on top). Returns { type, index, part }, where part is the bit that was grabbed, or null.
+    find_at(x, y) {
+        for (let idx = 0; idx < this.level.spawns.length; idx++) {
+            const spawn = this.level.spawns[idx];
+            if (Math.hypot(x - spawn.x, y - spawn.y) <= GORILLA_RADIUS ||
+                Math.hypot(x - spawn.x, y - spawn_landing_y(this.terrain, spawn)) <= GORILLA_RADIUS) {
+                return { type: 'spawn', index: idx, part: 'move' };
+            }
+        }
+        for (let idx = this.level.craters.length - 1; idx >= 0; idx--) {
+            const crater = this.level.craters[idx];
+            const distance = Math.hypot(x - crater.x, y - crater.y);
+            if (distance <= crater.radius + EDITOR_GRAB_DISTANCE) {
+                return { type: 'crater', index: idx, part: distance >= crater.radius - EDITOR_GRAB_DISTANCE ? 'radius' : 'move' };
+            }
+        }
+        for (let idx = this.level.buildings.length - 1; idx >= 0; idx--) {
+            const building = this.level.buildings[idx];
+            const top = SCREEN_HEIGHT - building.height;
+            if (x < building.x - EDITOR_GRAB_DISTANCE || x > building.x + building.width + EDITOR_GRAB_DISTANCE ||
+                y < top - EDITOR_GRAB_DISTANCE) continue;
+            let part = 'move';
+            if (y <= top + EDITOR_GRAB_DISTANCE) {
+                part = 'top';
+            } else if (x <= building.x + EDITOR_GRAB_DISTANCE) {
+                part = 'left';
+            } else if (x >= building.x + building.width - EDITOR_GRAB_DISTANCE) {
+                part = 'right';
+            }
+            return { type: 'building', index: idx, part };
+        }
+        return null;
+    }
+
+    // Selects (and starts dragging) whatever is under the point, or adds a building or crater there.
+    // Returns a message for the toolbar if that couldn't be done, otherwise null.
+    pointer_down(x, y) {
+        if (this.tool === 'building') {
+            if (this.level.buildings.length >= LEVEL_MAX_BUILDINGS) return `A level can have at most ${LEVEL_MAX_BUILDINGS} buildings.`;
+            const width = EDITOR_NEW_BUILDING_WIDTH;
+            const left = Math.max(0, Math.min(SCREEN_WIDTH - width, x - width / 2));
+            this.level.buildings.push({ x: left, width, height: SCREEN_HEIGHT - y, color: this.color });
+            this.selection = { type: 'building', index: this.level.buildings.length - 1 };
+            this.drag = { part: 'top', offsetX: 0, offsetY: 0 }; // Keep dragging to set the height
+            this.changed();
+            return null;
+        }
+        if (this.tool === 'crater') {
+            if (this.level.craters.length >= LEVEL_MAX_CRATERS) return `A level can have at most ${LEVEL_MAX_CRATERS} craters.`;
+            this.level.craters.push({ x, y, radius: EDITOR_NEW_CRATER_RADIUS });
+            this.selection = { type: 'crater', index: this.level.craters.length - 1 };
+            this.drag = { part: 'move', offsetX: 0, offsetY: 0 };
+            this.changed();
+            return null;
+        }
+
+        const hit = this.find_at(x, y);
+        this.selection = hit ? { type: hit.type, index: hit.index } : null;
+        this.drag = null;
+        if (hit) {
+            const item = this.selected();
+            // Spawn points jump to the pointer, so grabbing the gorilla picks it up
+            this.drag = hit.type === 'spawn' ? { part: 'move', offsetX: 0, offsetY: 0 } :
+                { part: hit.part, offsetX: x - item.x, offsetY: hit.type === 'crater' ? y - item.y : 0 };
+            if (hit.type === 'building') this.color = item.color;
+        }
+        return null;
+    }
+
+    pointer_move(x, y) {
+        if (!this.drag) return;
+        const item = this.selected();
+        const { part, offsetX, offsetY } = this.drag;
+        if (this.selection.type === 'building') {
+            const right = item.x + item.width;
+            if (part === 'move') {
+                item.x = Math.max(0, Math.min(SCREEN_WIDTH - item.width, x - offsetX)); // Buildings slide along the ground
+            } else if (part === 'top') {
+                item.height = SCREEN_HEIGHT - y;
+            } else if (part === 'left') {
+                item.x = Math.max(0, Math.min(right - LEVEL_MIN_BUILDING_WIDTH, x));
+                item.width = right - item.x;
+            } else {
+                item.width = x - item.x;
+            }
+        } else if (part === 'radius') {
+            item.radius = Math.hypot(x - item.x, y - item.y);
+        } else {
+            item.x = x - offsetX;
+            item.y = y - offsetY;
+        }
+        this.changed();
+    }
+
+    pointer_up() {
+        this.drag = null;
+    }
+
+    // Spawn points can only be moved: a level always has all of them
+    can_delete() {
+        return this.selection !== null && this.selection.type !== 'spawn';
+    }
+
+    delete_selection() {
+        if (!this.can_delete()) return;
+        this.level[`${this.selection.type}s`].splice(this.selection.index, 1);
+        this.selection = null;
+        this.drag = null;
+        this.changed();
+    }
+
+    // New buildings get this colour, and so does the selected one
+    set_color(color) {
+        this.color = color;
+        if (this.selection && this.selection.type === 'building') {
+            this.selected().color = color;
+            this.changed();
+        }
+    }
+
+    // name, gravity or wind, straight from the toolbar (an empty gravity or wind means the match setting)
+    set_property(key, value) {
+        this.level[key] = value;
+        this.changed();
+    }
+
+    draw(ctx) {
+        this.sky.draw(ctx);
+        this.terrain.draw(ctx, layerCtx => this.buildings.forEach(building => building.draw(layerCtx)));
+
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 6]);
+        // Crater outlines, so one that's only cut into the sky can still be found
+        ctx.strokeStyle = WHITE;
+        this.level.craters.forEach(crater => {
+            ctx.beginPath();
+            ctx.arc(crater.x, crater.y, crater.radius, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+        // Spawn points: where each gorilla drops from, and where it lands
+        ctx.font = "20px sans-serif";
+        ctx.textAlign = "center";
+        this.level.spawns.forEach((spawn, idx) => {
+            const landingY = spawn_landing_y(this.terrain, spawn);
+            ctx.strokeStyle = PLAYER_COLORS[idx];
+            ctx.beginPath();
+            ctx.moveTo(spawn.x, spawn.y);
+            ctx.lineTo(spawn.x, landingY);
+            ctx.stroke();
+            this.figure.draw_body(ctx, spawn.x, landingY, RED);
+            ctx.fillStyle = PLAYER_COLORS[idx];
+            ctx.fillText(String(idx + 1), spawn.x, landingY - GORILLA_RADIUS - 8);
+        });
+        ctx.setLineDash([]);
+
+        const item = this.selected();
+        if (item) {
+            ctx.strokeStyle = YELLOW;
+            ctx.lineWidth = 4;
+            ctx.beginPath();
+            if (this.selection.type === 'building') {
+                ctx.rect(item.x, SCREEN_HEIGHT - item.height, item.width, item.height);
+            } else if (this.selection.type === 'crater') {
+                ctx.arc(item.x, item.y, item.radius, 0, Math.PI * 2);
+            } else {
+                ctx.arc(item.x, spawn_landing_y(this.terrain, item), GORILLA_RADIUS + 6, 0, Math.PI * 2);
+            }
+            ctx.stroke();
+        }
+        ctx.lineWidth = 1;
+
+        const hints = {
+            select: "Drag buildings (the top and side edges resize them), craters (the rim resizes) and spawn points 1-4 (two players use 1 and 4). Delete removes the selection.",
+            building: "Click to add a building, and drag up or down to set its height.",
+            crater: "Click to blow a crater, and drag to move it.",
+        };
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(0, SCREEN_HEIGHT - 40, SCREEN_WIDTH, 40);
+        ctx.fillStyle = WHITE;
+        ctx.fillText(hints[this.tool], SCREEN_WIDTH / 2, SCREEN_HEIGHT - 12);
+        ctx.textAlign = "left";
+    }
+}
+
+class Game {
+    // settings: see DEFAULT_SETTINGS (run through sanitize_settings). The line-up, match format and wind
+    // start from them and can still be changed with hotkeys during play.
+    constructor(seed = null, settings = load_settings()) {
+        this.settings = settings;
+        if (sound) sound.set_volumes(settings);
+        this.num_players = settings.numPlayers; // 2-4 gorillas
+        this.team_mode = settings.teamMode; // Four players split into two teams of two
+        this.start_round_rng(seed !== null ? seed : random_seed());
+        this.sky = new Sky(this.pick_sky_theme(), this.cosmetic_rng); // Before the buildings, whose windows depend on it
+        this.level = find_level(settings.level); // Hand-made city from the level editor, or null for a random one
+        this.buildings = this.create_buildings();
+        this.terrain = this.create_terrain();
+        this.craters = []; // Impact markers { x, y, radius, shot } - drawing only, hits read this.terrain
+        this.gorillas = this.place_gorillas(); // Ensure this is called after buildings are created
+        this.trails = this.gorillas.map(() => []); // Per player, their last TRAIL_HISTORY shots this round, oldest first
+        this.currentShot = null; // { player, number, paths } - paths has one point list per projectile
+        this.camera = new Camera();
+        this.particles = new ParticleSystem(); // Explosions; the turn waits for them to finish
+        this.bullets = []; // Projectiles in flight for the current shot (cluster bombs make several)
+        this.turn = 0; // Index of the player whose turn it is (0 for Player 1)
+        this.roundStarter = 0; // Who had the first shot of this round
+        this.angles = this.default_angles(); // Everyone aims towards the middle initially
+        this.strengths = this.gorillas.map(() => 100); // Initial strength values
+        this.scores = this.gorillas.map(() => 0); // Per player; in team mode both teammates score together
+        this.shots_fired = this.gorillas.map(() => 0);
+        this.roundStartShots = this.shots_fired.slice(); // shots_fired when this round began, for Restart Round
+        this.paused = false; // Pause menu: nothing updates and the game clock stands still
+        this.pausedDuration = 0; // ms spent paused, taken off the game clock
+        this.pauseStart = 0;
+        this.timers = []; // Pending set_timer() callbacks { id, at, callback }
+        this.nextTimerId = 1;
+        this.startTime = this.now(); // Start time for the current round
+        this.totalTimePaused = 0; // Time accumulated from previous rounds or pauses
         this.lastFrameTime = performance.now();
-        this.message = "Player 1 Turn"; // Initial message
+        this.message = this.turn_message(); // Initial message
         this.messageTimeout = null; // Timer to clear hit messages
-        this.keyPressDurations = { ArrowLeft: 0, ArrowRight: 0, ArrowUp: 0, ArrowDown: 0 };
-        this.nextBlinkTime = performance.now() + (Math.random() * 0.5 + 0.25) * 1000;
+        this.keyPressDurations = { aimLeft: 0, aimRight: 0, powerUp: 0, powerDown: 0 }; // Seconds each aim action has been held
+        this.typed_input = settings.typedInput.slice(); // Per seat: true = types numbers into a prompt instead of using the arrows
+        this.typedEntry = this.create_typed_entry(); // The prompt's state for the current turn
+        this.drag = null; // { x, y } pointer position while aiming by dragging (slingshot style)
+        this.nextBlinkTime = this.now() + (this.cosmetic_rng.next() * 0.5 + 0.25) * 1000;
         this.gameOver = false; // Flag to stop updates when resetting
+        this.ai_players = this.gorillas.map(() => null); // AIPlayer per slot, null for a human player
+        this.pendingHitMessage = null; // Set while gorillas are still falling after a hit; the turn ends once they land
+        this.selected_weapons = this.gorillas.map(() => 'banana');
+        this.ammo = this.gorillas.map(() => this.create_ammo());
+        this.shotEvents = []; // What this shot's impacts did ("Hit a building!"), reported when it ends
+        this.shotDamage = this.gorillas.map(() => 0); // Explosion damage dealt to each player by this shot
+        this.healthAtShot = this.gorillas.map(g => g.health); // Everyone's health when the last shot was fired
+        this.shotDirectHits = []; // Players the last shot hit directly
+        this.roundStats = this.create_round_stats(); // Per player, for the stats screen
+        this.matchRecord = null; // This match's entry in the stats history, created when its first round ends
+        this.network = null; // NetworkClient when playing online
+        this.localPlayer = null; // Which slot this browser controls online
+        this.wind_level = settings.windLevel; // Key into WIND_LEVELS
+        this.gusty = settings.gusty; // Re-roll the wind every turn instead of every round
+        this.wind = this.roll_wind();
+        this.match_format = settings.matchFormat; // Key into MATCH_FORMATS
+        this.match_number = 0; // Counts matches played this session (keeps online rematch requests apart)
+        this.rounds_played = 0; // Rounds finished in the current match
+        this.matchOver = false; // Set once a side clinches the match; the summary waits for a rematch or new match
+        this.matchWinner = -1; // A player on the side that won the match
+        this.lastRoundWinner = -1; // So a rematch still lets the last round's loser start
+        this.pendingMatchRequest = null; // Online: 'rematch' / 'new' that arrived before our last round finished
+        this.remoteShots = []; // Online: the opponent's shots, waiting until our side is ready to throw them
+    }
+
+    // Picks a random wind (whole numbers, positive blows right) within the current wind level
+    roll_wind() {
+        if (this.level && this.level.wind !== null) return this.level.wind; // The level fixes it
+        const maxWind = WIND_LEVELS[this.wind_level].maxWind;
+        return Math.round((this.rng.next() * 2 - 1) * maxWind);
+    }
+
+    cycle_wind_level() {
+        if (this.network) return; // Both clients must keep the same settings
+        this.wind_level = WIND_LEVEL_ORDER[(WIND_LEVEL_ORDER.indexOf(this.wind_level) + 1) % WIND_LEVEL_ORDER.length];
+        this.remember_setting('windLevel', this.wind_level);
+        if (!this.is_shot_in_flight()) this.wind = this.roll_wind(); // Don't change the wind under a bullet in flight
+    }
+
+    toggle_gusty() {
+        if (this.network) return;
+        this.gusty = !this.gusty;
+        this.remember_setting('gusty', this.gusty);
+    }
+
+    format_wind() {
+        if (this.wind === 0) return "No wind";
+        return `Wind ${Math.abs(this.wind)} ${this.wind > 0 ? "→" : "←"}`;
+    }
+
+    // Seeds the round's random streams. Gameplay (skyline, wind, AI error) uses this.rng;
+    // purely visual effects (window blinking) get their own stream derived from the same seed,
+    // so frame timing can never shift the gameplay sequence.
+    start_round_rng(seed) {
+        this.round_seed = seed >>> 0;
+        this.rng = new SeededRandom(this.round_seed);
+        this.cosmetic_rng = new SeededRandom(this.round_seed ^ 0x9E3779B9);
+    }
+
+    // The chosen sky, or a random one each round (from the cosmetic stream, so the skylines don't change)
+    pick_sky_theme() {
+        const key = this.settings.skyTheme;
+        return key === 'random' ? SKY_THEME_ORDER[this.cosmetic_rng.int(SKY_THEME_ORDER.length)] : key;
+    }
+
+    // Downward acceleration: the level's own, or the match setting
+    gravity() {
+        return this.level && this.level.gravity !== null ? this.level.gravity : this.settings.gravity;
+    }
+
+    is_shot_in_flight() {
+        return this.bullets.length > 0;
+    }
+
+    // --- Players and Teams ---
+
+    // Side a player fights for: their team in team mode, otherwise just themselves
+    team_of(index) {
+        return this.team_mode ? index % TEAM_NAMES.length : index;
+    }
+
+    is_opponent(a, b) {
+        return this.team_of(a) !== this.team_of(b);
+    }
+
+    player_name(index) {
+        return this.settings.playerNames[index];
+    }
+
+    // Who gets credit for a round win: "Team A" in team mode, otherwise the player's name
+    side_name(index) {
+        return this.team_mode ? TEAM_NAMES[this.team_of(index)] : this.player_name(index);
+    }
+
+    // M key / mobile mute button. Stays muted across reloads (and online, since it's a local setting).
+    toggle_mute() {
+        this.settings.muted = !this.settings.muted;
+        const saved = load_settings();
+        saved.muted = this.settings.muted;
+        save_settings(saved);
+        if (sound) sound.set_volumes(this.settings);
+    }
+
+    turn_message() {
+        return `${this.player_name(this.turn)} Turn`;
+    }
+
+    // Hotkey changes become the new defaults for the settings screen (online, the settings are the host's)
+    remember_setting(key, value) {
+        this.settings[key] = value;
+        if (!this.network) save_settings(this.settings);
+    }
+
+    // Next player after 'index' in seat order who is still standing and passes the filter, or -1
+    next_player(index, filter = () => true) {
+        for (let step = 1; step <= this.num_players; step++) {
+            const candidate = (index + step) % this.num_players;
+            if (this.gorillas[candidate].health > 0 && filter(candidate)) return candidate;
+        }
+        return -1;
+    }
+
+    // Gorillas left of centre aim right, the rest aim left
+    default_angles() {
+        return this.gorillas.map(g => g.x < SCREEN_WIDTH / 2 ? 45 : 135);
+    }
+
+    // Changing the line-up starts a fresh match (scores and CPU slots only make sense for the old one)
+    set_player_count(count, teamMode = this.team_mode) {
+        if (this.network || this.is_shot_in_flight() || this.is_settling()) return; // Online games are always 1 vs 1
+        this.num_players = Math.max(MIN_PLAYERS, Math.min(MAX_PLAYERS, count));
+        this.team_mode = teamMode && this.num_players === MAX_PLAYERS;
+        this.remember_setting('numPlayers', this.num_players);
+        this.remember_setting('teamMode', this.team_mode);
+        const level = (this.ai_players.find(ai => ai) || { level: 'normal' }).level;
+        const cpuCount = this.ai_players.filter(ai => ai).length;
+        this.set_cpu_count(Math.min(cpuCount, this.num_players), level);
+        this.reset_match_stats();
+        this.reset_game();
+    }
+
+    // Team matches are always 2 vs 2, so turning teams on switches to four players
+    toggle_teams() {
+        if (this.team_mode) {
+            this.set_player_count(this.num_players, false);
+        } else {
+            this.set_player_count(MAX_PLAYERS, true);
+        }
+    }
+
+    // Fresh per-round ammo count for every weapon
+    create_ammo() {
+        const ammo = {};
+        WEAPON_ORDER.forEach(key => ammo[key] = WEAPONS[key].ammo);
+        return ammo;
+    }
+
+    // Selects the current player's next weapon that still has ammo
+    cycle_weapon() {
+        if (this.is_shot_in_flight() || this.gameOver || !this.is_local_turn()) return;
+        const ammo = this.ammo[this.turn];
+        let index = WEAPON_ORDER.indexOf(this.selected_weapons[this.turn]);
+        do {
+            index = (index + 1) % WEAPON_ORDER.length;
+        } while (ammo[WEAPON_ORDER[index]] <= 0);
+        this.selected_weapons[this.turn] = WEAPON_ORDER[index];
+    }
+
+    format_weapon(index) {
+        const key = this.selected_weapons[index];
+        const ammo = this.ammo[index][key];
+        return `${WEAPONS[key].name} (${ammo === Infinity ? "∞" : ammo})`;
+    }
+
+    // True while the last shot's aftermath (falling gorillas) is still playing out
+    is_settling() {
+        return this.pendingHitMessage !== null;
+    }
+
+    // True when the player whose turn it is sits at this keyboard: not the CPU, and not the remote player online
+    is_local_turn() {
+        if (this.is_cpu_turn()) return false;
+        if (!this.network) return true;
+        return this.turn === this.localPlayer && this.network.is_ready();
+    }
+
+    is_cpu_turn() {
+        return this.ai_players[this.turn] !== null;
+    }
+
+    // Cycles how many slots are computer-controlled, filling from the last player:
+    // none -> last player -> last two -> ... -> everyone -> none
+    cycle_cpu_players() {
+        if (this.network) return; // Online games are always human vs human
+        const level = (this.ai_players.find(ai => ai) || { level: 'normal' }).level;
+        const cpuCount = this.ai_players.filter(ai => ai).length;
+        this.set_cpu_count((cpuCount + 1) % (this.num_players + 1), level);
+    }
+
+    set_cpu_count(count, level) {
+        this.ai_players = [];
+        for (let idx = 0; idx < this.num_players; idx++) {
+            this.ai_players.push(idx >= this.num_players - count ? new AIPlayer(idx, level) : null);
+        }
+    }
+
+    cycle_ai_level() {
+        this.ai_players.forEach(ai => {
+            if (!ai) return;
+            ai.level = AI_LEVEL_ORDER[(AI_LEVEL_ORDER.indexOf(ai.level) + 1) % AI_LEVEL_ORDER.length];
+        });
     }
 
     create_buildings() {
+        if (this.level) {
+            return this.level.buildings.map(b => new Building(b.x, b.width, b.height, b.color, this.rng, this.sky.theme.litWindows));
+        }
         const buildings = [];
-        const num_buildings = 30;
+        const num_buildings = this.settings.buildingCount;
         const building_width = SCREEN_WIDTH / num_buildings;
         const building_colors = [RED, GREY, CYAN]; // Use defined color constants
+        const minHeight = this.settings.buildingMinHeight;
+        const maxHeight = this.settings.buildingMaxHeight;
 
         for (let i = 0; i < num_buildings; i++) {
-            const height = Math.random() * 300 + 100; // 100 to 400 height
-            const color = building_colors[Math.floor(Math.random() * building_colors.length)];
-            buildings.push(new Building(i * building_width, building_width, height, color));
+            const height = this.rng.next() * (maxHeight - minHeight) + minHeight; // 100 to 400 height by default
+            const color = building_colors[this.rng.int(building_colors.length)];
+            buildings.push(new Building(i * building_width, building_width, height, color, this.rng, this.sky.theme.litWindows));
         }
         return buildings;
     }
 
-     place_gorillas() {
-         const num_buildings = this.buildings.length;
-         let buildingIndex1 = 5;
-         let buildingIndex2 = 24;
-
-         // Basic safety check for very few buildings
-         if (num_buildings <= buildingIndex2) {
-             console.warn(`Not enough buildings (${num_buildings}) for default placement. Adjusting.`);
-             buildingIndex1 = Math.floor(num_buildings * 0.2);
-             // Ensure index 2 is valid and different from index 1
-             buildingIndex2 = Math.min(num_buildings - 1, Math.max(buildingIndex1 + 1, Math.floor(num_buildings * 0.8)));
-             if (num_buildings <= 1) { // Edge case for 0 or 1 building
-                buildingIndex1 = 0;
-                buildingIndex2 = 0; // Gorillas will be on same building if only 1 exists
-             }
-         }
+    // This round's city as a level for the editor: the skyline as it was when the round started, with the
+    // standard spawn points (a level keeps its own spawn points, craters, gravity and wind)
+    to_level() {
+        const buildings = this.buildings.map(b => ({ x: b.x, width: b.width, height: b.height, color: to_hex_color(b.color) }));
+        return {
+            format: LEVEL_FORMAT,
+            version: LEVEL_VERSION,
+            name: this.level ? this.level.name : `City ${this.round_seed}`,
+            gravity: this.level ? this.level.gravity : null,
+            wind: this.level ? this.level.wind : null,
+            buildings,
+            spawns: this.level ? this.level.spawns : default_spawns(buildings),
+            craters: this.level ? this.level.craters : [],
+        };
+    }
 
-         const building1 = this.buildings[buildingIndex1];
-         // Safety check if index 2 ended up same as 1 due to low num_buildings
-         const building2 = (buildingIndex1 === buildingIndex2) ? building1 : this.buildings[buildingIndex2];
+    // Builds the collision mask from the current buildings, with the level's craters already blown out of it
+    create_terrain() {
+        const terrain = new TerrainMask(SCREEN_WIDTH, SCREEN_HEIGHT);
+        this.buildings.forEach(building => terrain.fill_rect(building.get_rect()));
+        if (this.level) this.level.craters.forEach(crater => terrain.carve_circle(crater.x, crater.y, crater.radius));
+        return terrain;
+    }
 
-         // Check if buildings exist (safety)
-         if (!building1 || !building2) {
-             console.error("Failed to find buildings for gorilla placement! Using fallback positions.");
-             // Place at fixed positions as a fallback
-             return [new Gorilla(SCREEN_WIDTH * 0.2, SCREEN_HEIGHT - GORILLA_RADIUS - 50),
-                     new Gorilla(SCREEN_WIDTH * 0.8, SCREEN_HEIGHT - GORILLA_RADIUS - 50)];
-         }
+    // Blows a hole in the terrain and remembers where, for the impact marker
+    add_crater(x, y, radius) {
+        this.terrain.carve_circle(x, y, radius);
+        this.craters.push({ x, y, radius, shot: this.currentShot }); // The marker is labelled with the shot that made it
+    }
 
-         const gorilla1X = building1.x + building1.width / 2;
-         const gorilla1Y = SCREEN_HEIGHT - building1.height - GORILLA_RADIUS;
+    // Spreads the gorillas evenly over the skyline, from SPAWN_EDGE_FRACTION in from the left edge
+    // to the same distance from the right edge (two players get the classic 6th and 25th of 30 buildings).
+    // A level's spawn points are spread over the same way (two players take the outer two of four);
+    // if it has fewer than there are players, they go on the buildings as usual.
+    place_gorillas() {
+        const spawns = this.level ? this.level.spawns : [];
+        if (spawns.length >= this.num_players) {
+            return Array.from({ length: this.num_players }, (_, idx) => {
+                const t = this.num_players > 1 ? idx / (this.num_players - 1) : 0;
+                const spawn = spawns[Math.round((spawns.length - 1) * t)];
+                return new Gorilla(spawn.x, spawn_landing_y(this.terrain, spawn), this.settings.startingHealth, this.settings.gorillaColors[idx]);
+            });
+        }
 
-         const gorilla2X = building2.x + building2.width / 2;
-         const gorilla2Y = SCREEN_HEIGHT - building2.height - GORILLA_RADIUS;
+        const num_buildings = this.buildings.length;
+        const edge = Math.round(num_buildings * SPAWN_EDGE_FRACTION);
+        let firstIndex = edge;
+        let lastIndex = num_buildings - 1 - edge;
 
-         return [new Gorilla(gorilla1X, gorilla1Y), new Gorilla(gorilla2X, gorilla2Y)];
-     }
+        // Basic safety check for very few buildings
+        if (lastIndex - firstIndex < this.num_players - 1) {
+            console.warn(`Not enough buildings (${num_buildings}) for default placement. Adjusting.`);
+            firstIndex = 0;
+            lastIndex = Math.max(0, num_buildings - 1); // Gorillas may share a building if there are too few
+        }
+
+        const gorillas = [];
+        for (let idx = 0; idx < this.num_players; idx++) {
+            const t = this.num_players > 1 ? idx / (this.num_players - 1) : 0;
+            const building = this.buildings[Math.round(firstIndex + (lastIndex - firstIndex) * t)];
+
+            // Check if the building exists (safety)
+            if (!building) {
+                console.error("Failed to find buildings for gorilla placement! Using fallback positions.");
+                // Place at fixed positions as a fallback
+                gorillas.push(new Gorilla(SCREEN_WIDTH * (0.2 + 0.6 * t), SCREEN_HEIGHT - GORILLA_RADIUS - 50,
+                    this.settings.startingHealth, this.settings.gorillaColors[idx]));
+                continue;
+            }
+            gorillas.push(new Gorilla(building.x + building.width / 2, SCREEN_HEIGHT - building.height - GORILLA_RADIUS,
+                this.settings.startingHealth, this.settings.gorillaColors[idx]));
+        }
+        return gorillas;
+    }
+
+
+    // 0-1: how hard the active player pushes an aim action. A held key or mobile button is 1;
+    // a controller's stick can be anywhere in between.
+    action_amount(action) {
+        if (keysPressed[keyBindings[this.turn][action]] === true || touchActions[action] === true) return 1;
+        return gamepads ? gamepads.get_amount(this.pad_slot(), action) : 0;
+    }
 
+    // The controller slot that plays the current turn. Online, this browser's first controller plays our seat.
+    pad_slot() {
+        return this.network ? 0 : this.turn;
+    }
+
+    // The action the active player's bindings give this key, or null (also null on the CPU's or remote player's turn)
+    get_bound_action(key) {
+        if (!this.is_local_turn()) return null;
+        const action = BINDING_ACTIONS.find(a => keyBindings[this.turn][a.key] === key);
+        return action ? action.key : null;
+    }
 
     handle_input(deltaTime) {
-         if (this.bullet || this.gameOver) return; // Don't handle angle/strength changes while bullet flying or resetting
+         if (this.is_shot_in_flight() || this.gameOver || this.is_settling()) return; // Don't handle angle/strength changes while bullet flying, gorillas falling or resetting
+         if (!this.is_local_turn()) return; // The AI or the online opponent aims for itself
+         if (this.typed_input[this.turn]) return; // This player types their numbers instead
 
          let angle_change = 0;
          let strength_change = 0;
@@ -537,41 +3048,48 @@ class Game {
          const angleAccelMultiplier = 3;
          const strengthAccelMultiplier = 2.5; // Slightly increased accel
 
-         const leftDuration = Math.min(this.keyPressDurations.ArrowLeft, maxAccelDuration);
-         const rightDuration = Math.min(this.keyPressDurations.ArrowRight, maxAccelDuration);
-         const upDuration = Math.min(this.keyPressDurations.ArrowUp, maxAccelDuration);
-         const downDuration = Math.min(this.keyPressDurations.ArrowDown, maxAccelDuration);
+         const leftDuration = Math.min(this.keyPressDurations.aimLeft, maxAccelDuration);
+         const rightDuration = Math.min(this.keyPressDurations.aimRight, maxAccelDuration);
+         const upDuration = Math.min(this.keyPressDurations.powerUp, maxAccelDuration);
+         const downDuration = Math.min(this.keyPressDurations.powerDown, maxAccelDuration);
 
          // Linear acceleration (simpler)
          const accelFactorAngle = 1 + angleAccelMultiplier * Math.max(leftDuration / maxAccelDuration, rightDuration / maxAccelDuration);
          const accelFactorStrength = 1 + strengthAccelMultiplier * Math.max(upDuration / maxAccelDuration, downDuration / maxAccelDuration);
 
 
-         if (keysPressed['ArrowLeft']) {
-             this.keyPressDurations.ArrowLeft += deltaTime;
-             angle_change += baseAngleSpeed * accelFactorAngle * deltaTime;
+         const left = this.action_amount('aimLeft');
+         const right = this.action_amount('aimRight');
+         const up = this.action_amount('powerUp');
+         const down = this.action_amount('powerDown');
+
+         if (left > 0) {
+             this.keyPressDurations.aimLeft += deltaTime;
+             angle_change += baseAngleSpeed * accelFactorAngle * deltaTime * left;
          } else {
-             this.keyPressDurations.ArrowLeft = 0;
+             this.keyPressDurations.aimLeft = 0;
          }
-         if (keysPressed['ArrowRight']) {
-             this.keyPressDurations.ArrowRight += deltaTime;
-             angle_change -= baseAngleSpeed * accelFactorAngle * deltaTime;
+         if (right > 0) {
+             this.keyPressDurations.aimRight += deltaTime;
+             angle_change -= baseAngleSpeed * accelFactorAngle * deltaTime * right;
          } else {
-             this.keyPressDurations.ArrowRight = 0;
+             this.keyPressDurations.aimRight = 0;
          }
-         if (keysPressed['ArrowUp']) {
-             this.keyPressDurations.ArrowUp += deltaTime;
-             strength_change += baseStrengthSpeed * accelFactorStrength * deltaTime;
+         if (up > 0) {
+             this.keyPressDurations.powerUp += deltaTime;
+             strength_change += baseStrengthSpeed * accelFactorStrength * deltaTime * up;
          } else {
-             this.keyPressDurations.ArrowUp = 0;
+             this.keyPressDurations.powerUp = 0;
          }
-         if (keysPressed['ArrowDown']) {
-             this.keyPressDurations.ArrowDown += deltaTime;
-             strength_change -= baseStrengthSpeed * accelFactorStrength * deltaTime;
+         if (down > 0) {
+             this.keyPressDurations.powerDown += deltaTime;
+             strength_change -= baseStrengthSpeed * accelFactorStrength * deltaTime * down;
          } else {
-             this.keyPressDurations.ArrowDown = 0;
+             this.keyPressDurations.powerDown = 0;
          }
 
+        const oldAngle = this.angles[this.turn];
+        const oldStrength = this.strengths[this.turn];
         this.angles[this.turn] = (this.angles[this.turn] + angle_change);
          // Keep angle between 0 and 180 for player 0 (right side)
          if (this.turn === 0) {
@@ -585,101 +3103,620 @@ class Game {
 
         // Clamp strength between MIN and MAX defined constants
         this.strengths[this.turn] = Math.max(MIN_SHOOT_STRENGTH, Math.min(MAX_SHOOT_STRENGTH, this.strengths[this.turn] + strength_change)); // Use MAX_SHOOT_STRENGTH
+
+        // Tick for every whole degree / strength unit passed
+        if (sound && (Math.floor(oldAngle) !== Math.floor(this.angles[this.turn]) || Math.floor(oldStrength) !== Math.floor(this.strengths[this.turn]))) {
+            sound.play_tick();
+        }
     }
 
     shoot() {
-        if (this.bullet || this.gameOver) return;
+        if (this.is_shot_in_flight() || this.gameOver || this.is_settling()) return;
 
         // Clear any previous message timeout
         if (this.messageTimeout) {
-            clearTimeout(this.messageTimeout);
+            this.clear_timer(this.messageTimeout);
             this.messageTimeout = null;
         }
 
+        // Fire the selected weapon (the AI sticks to bananas, which its simulation models)
+        const weaponKey = this.is_cpu_turn() ? 'banana' : this.selected_weapons[this.turn];
+
+        if (this.network) {
+            // Round to what gets sent, so both clients fire exactly the same shot
+            this.angles[this.turn] = Math.round(this.angles[this.turn] * 100) / 100;
+            this.strengths[this.turn] = Math.round(this.strengths[this.turn] * 100) / 100;
+            if (this.turn === this.localPlayer) {
+                this.network.send({ kind: 'shot', turn: this.turn, angle: this.angles[this.turn], strength: this.strengths[this.turn], weapon: weaponKey });
+            }
+        }
+        // Pass 'this.turn' (the index of the firing gorilla) to the Bullet
+        this.bullets = [this.create_bullet(this.turn, this.angles[this.turn], this.strengths[this.turn], weaponKey)];
+        this.currentShot = { player: this.turn, number: this.shots_fired[this.turn] + 1, paths: [this.bullets[0].start_path()] };
+        this.shotEvents = [];
+        this.shotDamage = this.gorillas.map(() => 0);
+        this.healthAtShot = this.gorillas.map(g => g.health);
+        this.shotDirectHits = [];
+        this.roundStats[this.turn].shots++;
+
+        // Use up ammo, falling back to bananas when a weapon runs out
+        const ammo = this.ammo[this.turn];
+        ammo[weaponKey]--;
+        if (ammo[weaponKey] <= 0) {
+            this.selected_weapons[this.turn] = 'banana';
+        }
+
+        this.shots_fired[this.turn]++;
+        this.gorillas[this.turn].start_throw(this.angles[this.turn]);
+        this.typedEntry = this.create_typed_entry(); // Fresh prompt for whoever goes next
+        this.drag = null; // A remote or CPU shot ends any drag in progress
+        this.message = ""; // Clear message, will be updated on hit or turn change
+        if (sound) sound.play_throw();
+    }
+
+    // --- Typed Entry ---
+    // The original Gorillas way of aiming: type the angle, Enter, type the velocity, Enter to throw.
+
+    create_typed_entry() {
+        return { field: 'angle', text: '', error: '' }; // field: 'angle' or 'strength'
+    }
+
+    // True while the active player should be typing into the angle/velocity prompt
+    is_typing() {
+        return this.typed_input[this.turn] && this.is_local_turn() && !this.is_shot_in_flight() && !this.gameOver && !this.is_settling();
+    }
+
+    // I key: switches the active player between typed entry and the arrow keys
+    toggle_typed_input() {
+        if (!this.is_local_turn()) return;
+        this.typed_input[this.turn] = !this.typed_input[this.turn];
+        this.remember_setting('typedInput', this.typed_input.slice());
+        this.typedEntry = this.create_typed_entry();
+    }
+
+    // A key for the prompt. Returns true if it was used, so it doesn't also fire a hotkey (2/3/4 change the player count).
+    handle_typed_key(key) {
+        const entry = this.typedEntry;
+        if (/^[0-9.]$/.test(key)) {
+            if (entry.text.length < TYPED_ENTRY_MAX_LENGTH) entry.text += key;
+            entry.error = '';
+            return true;
+        }
+        if (key === 'Backspace') {
+            if (entry.text) {
+                entry.text = entry.text.slice(0, -1);
+            } else if (entry.field === 'strength') {
+                entry.field = 'angle'; // Backspace on an empty velocity goes back to the angle
+            }
+            entry.error = '';
+            return true;
+        }
+        if (key === 'Enter') {
+            this.submit_typed_entry();
+            return true;
+        }
+        return false;
+    }
+
+    // Enter: checks the number, then moves on to the velocity or throws. Leaving it empty keeps the current value.
+    submit_typed_entry() {
+        const entry = this.typedEntry;
+        const value = entry.text === '' ? null : Number(entry.text);
+        if (entry.field === 'angle') {
+            if (value !== null && !(value >= 0 && value <= 180)) { // Also catches NaN ("1.2.3")
+                entry.error = "Angle must be between 0 and 180";
+                entry.text = '';
+                return;
+            }
+            if (value !== null) this.angles[this.turn] = value;
+            this.typedEntry = { field: 'strength', text: '', error: '' };
+            return;
+        }
+        if (value !== null && !(value >= MIN_SHOOT_STRENGTH && value <= MAX_SHOOT_STRENGTH)) {
+            entry.error = `Velocity must be between ${MIN_SHOOT_STRENGTH} and ${MAX_SHOOT_STRENGTH}`;
+            entry.text = '';
+            return;
+        }
+        if (value !== null) this.strengths[this.turn] = value;
+        this.shoot();
+    }
+
+    // --- Drag to Aim ---
+    // Touch or click near your gorilla and pull back like a slingshot: the throw goes the opposite way
+    // to the pull, and a longer pull throws harder. Letting go fires. Coordinates are canvas pixels.
+
+    can_drag() {
+        return this.is_local_turn() && !this.is_shot_in_flight() && !this.gameOver && !this.is_settling();
+    }
+
+    // Returns true if the drag started (the pointer was close enough to the active gorilla)
+    start_drag(x, y) {
+        if (!this.can_drag()) return false;
         const gorilla = this.gorillas[this.turn];
-        const angle = this.angles[this.turn];
-        const strength = this.strengths[this.turn];
+        if (Math.hypot(x - gorilla.x, y - gorilla.y) > DRAG_START_RADIUS) return false;
+        this.drag = { x, y };
+        return true;
+    }
+
+    // Aims straight away, so draw_arrow shows the shot while dragging
+    update_drag(x, y) {
+        if (!this.drag) return;
+        this.drag = { x, y };
+        const gorilla = this.gorillas[this.turn];
+        const pullX = x - gorilla.x;
+        const pullY = y - gorilla.y;
+        if (Math.hypot(pullX, pullY) < DRAG_MIN_DISTANCE) return;
+        // Throw away from the pull (screen y points down, angles point up)
+        let angle = Math.atan2(pullY, -pullX) * 180 / Math.PI;
+        if (angle < 0) angle = angle < -90 ? 180 : 0; // Pulling upwards aims flat rather than into the ground
+        this.angles[this.turn] = angle;
+        this.strengths[this.turn] = Math.max(MIN_SHOOT_STRENGTH, Math.min(MAX_SHOOT_STRENGTH, Math.hypot(pullX, pullY) * DRAG_STRENGTH_PER_PIXEL));
+    }
+
+    // fire: false for a cancelled pointer (the aim stays where the drag left it)
+    end_drag(x, y, fire = true) {
+        if (!this.drag) return;
+        this.update_drag(x, y);
+        this.drag = null;
+        const gorilla = this.gorillas[this.turn];
+        if (fire && this.can_drag() && Math.hypot(x - gorilla.x, y - gorilla.y) >= DRAG_MIN_DISTANCE) {
+            this.shoot();
+        }
+    }
+
+    // --- Match ---
+
+    cycle_match_format() {
+        if (this.network) return; // Both clients must keep the same settings
+        this.match_format = MATCH_FORMAT_ORDER[(MATCH_FORMAT_ORDER.indexOf(this.match_format) + 1) % MATCH_FORMAT_ORDER.length];
+        this.remember_setting('matchFormat', this.match_format);
+    }
+
+    // Round wins per side. Teammates always score together, so each side's first seat speaks for it.
+    get_side_scores() {
+        const sides = [];
+        const seen = new Set();
+        this.gorillas.forEach((g, idx) => {
+            if (seen.has(this.team_of(idx))) return;
+            seen.add(this.team_of(idx));
+            sides.push({ index: idx, wins: this.scores[idx] });
+        });
+        return sides.sort((a, b) => b.wins - a.wins);
+    }
+
+    // Returns a player on the side that has clinched the match, or -1 while it's still open
+    check_match_winner() {
+        const format = MATCH_FORMATS[this.match_format];
+        const [leader, runnerUp] = this.get_side_scores();
+        if (format.type === 'first') {
+            return leader.wins >= format.rounds ? leader.index : -1;
+        }
+        if (format.type === 'best') {
+            const roundsLeft = Math.max(0, format.rounds - this.rounds_played);
+            return leader.wins > runnerUp.wins + roundsLeft ? leader.index : -1;
+        }
+        return -1; // Endless
+    }
+
+    format_match() {
+        const format = MATCH_FORMATS[this.match_format];
+        if (format.type === 'endless') return `Match: ${format.name}`;
+        const suddenDeath = format.type === 'best' && this.rounds_played >= format.rounds;
+        return `Match: ${format.name} - Round ${this.rounds_played + 1}${suddenDeath ? " (Sudden death)" : ""}`;
+    }
+
+    reset_match_stats() {
+        this.matchRecord = null; // The next round starts a new history entry
+        this.scores = Array(this.num_players).fill(0);
+        this.shots_fired = Array(this.num_players).fill(0);
+        this.totalTimePaused = 0;
+        this.rounds_played = 0;
+        this.matchOver = false;
+        this.matchWinner = -1;
+        this.pendingMatchRequest = null;
+    }
+
+    // Called instead of scheduling the next round once a side clinches the match
+    end_match(winner) {
+        this.matchOver = true;
+        this.matchWinner = winner;
+        if (stats) stats.record_match_end(this);
+        if (this.pendingMatchRequest) {
+            const request = this.pendingMatchRequest;
+            this.pendingMatchRequest = null;
+            this.apply_match_request(request);
+        }
+    }
+
+    // Same line-up and settings, scores back to zero. The last round's loser starts, as between rounds.
+    rematch() {
+        if (!this.matchOver) return;
+        if (this.network) this.network.send({ kind: 'rematch', match: this.match_number });
+        this.apply_match_request('rematch');
+    }
+
+    // A fresh skyline sequence from a new seed. Offline, this goes through the settings screen first.
+    new_match() {
+        if (!this.matchOver) return;
+        if (!this.network && openSettingsScreen()) return;
+        if (this.network && this.localPlayer !== 0) {
+            this.network.send({ kind: 'new_match', match: this.match_number }); // The host picks the new seed
+            return;
+        }
+        this.apply_match_request('new');
+    }
+
+    apply_match_request(request) {
+        if (request === 'new' && this.network) {
+            if (this.localPlayer === 0) this.host_online_match();
+            return;
+        }
+        this.reset_match_stats();
+        this.match_number++;
+        if (request === 'rematch') {
+            this.reset_game(this.lastRoundWinner); // Carries on the seed chain, so online clients stay in step
+        } else {
+            this.reset_game(undefined, random_seed());
+        }
+    }
+
+    // Pause menu: the same skyline and wind again (replayed from the round's seed), same player first.
+    // Offline only; an online opponent can't be asked to take their shots back. The stats only record
+    // finished rounds, so the abandoned one's roundStats just go with reset_game.
+    restart_round() {
+        if (this.network || this.gameOver) return;
+        const starter = this.roundStarter; // reset_game without a winner would hand it to Player 1
+        this.shots_fired = this.roundStartShots.slice(); // The HUD and match summary forget the abandoned shots
+        this.reset_game(undefined, this.round_seed);
+        this.turn = starter;
+        this.roundStarter = starter; // For the next restart too
+        this.message = this.turn_message();
+    }
+
+    // Pause menu: abandon this match and start another with the same settings
+    restart_match() {
+        if (this.network) return;
+        this.apply_match_request('new');
+    }
+
+    // On-canvas buttons of the match summary (canvas coordinates)
+    get_match_buttons() {
+        const width = 260;
+        const height = 60;
+        const y = SCREEN_HEIGHT / 2 + 170;
+        return [
+            { action: 'rematch', label: "Rematch (R)", x: SCREEN_WIDTH / 2 - width - 20, y, width, height },
+            { action: 'new', label: "New Match (Enter)", x: SCREEN_WIDTH / 2 + 20, y, width, height }
+        ];
+    }
+
+    // Clicks and taps on the canvas, already converted to canvas coordinates
+    handle_click(x, y) {
+        if (!this.matchOver) return;
+        const button = this.get_match_buttons().find(b => x >= b.x && x <= b.x + b.width && y >= b.y && y <= b.y + b.height);
+        if (!button) return;
+        if (button.action === 'rematch') {
+            this.rematch();
+        } else {
+            this.new_match();
+        }
+    }
+
+    // --- Stats ---
+
+    create_round_stats() {
+        return this.gorillas.map(() => ({ shots: 0, hits: 0, directHits: 0, splashKills: 0, damage: 0 }));
+    }
+
+    // Credits the shooter with what the shot just did to opponents (falls included): damage,
+    // whether it hit anyone, and kills by direct hit versus by blast or fall
+    record_shot_stats(defeated) {
+        const shooter = this.roundStats[this.turn];
+        let hitOpponent = false;
+        this.gorillas.forEach((gorilla, idx) => {
+            if (!this.is_opponent(idx, this.turn)) return;
+            const damage = this.healthAtShot[idx] - Math.max(0, gorilla.health);
+            if (damage > 0) {
+                hitOpponent = true;
+                shooter.damage += damage;
+            }
+            if (this.shotDirectHits.includes(idx)) {
+                shooter.directHits++;
+            } else if (defeated.includes(idx)) {
+                shooter.splashKills++;
+            }
+        });
+        if (hitOpponent) shooter.hits++;
+    }
+
+    // Name the stats file a player under. Computer players are tracked apart from the humans using that seat's name.
+    get_stats_name(index) {
+        const ai = this.ai_players[index];
+        return ai ? `${this.player_name(index)} (CPU ${ai.settings.name})` : this.player_name(index);
+    }
+
+    // --- Online Play ---
+
+    // Connects to the relay and either hosts a new lobby or joins one by code
+    start_network(url, joinCode = null) {
+        if (this.num_players !== MIN_PLAYERS) {
+            this.set_player_count(MIN_PLAYERS, false); // Online games are always 1 vs 1
+        }
+        this.ai_players = [null, null];
+        this.network = new NetworkClient(url,
+            payload => this.handle_network_payload(payload),
+            (status, previous) => this.handle_network_status(status, previous));
+        if (joinCode) {
+            this.network.join(joinCode);
+        } else {
+            this.network.host();
+        }
+    }
+
+    handle_network_status(status, previous) {
+        this.localPlayer = this.network.playerIndex;
+        // The host picks the match seed and settings as soon as an opponent arrives, and again for a new
+        // opponent taking the seat of one who left: they know nothing of the match that was going on.
+        // If it was the host who left, whoever joins takes their seat ('connecting' straight to 'ready') and hosts.
+        const fresh = previous === 'waiting' || previous === 'opponent_left' || previous === 'connecting';
+        if (this.localPlayer === 0 && status === 'ready' && fresh) {
+            this.host_online_match();
+        }
+    }
+
+    // Host only: picks a fresh seed and the settings for a new match and starts it on both clients
+    host_online_match() {
+        const start = {
+            kind: 'start', seed: random_seed(), windLevel: this.wind_level, gusty: this.gusty,
+            matchFormat: this.match_format, match: this.match_number + 1, settings: this.settings,
+            level: this.level // The guest may not have it saved, so it goes along in full
+        };
+        this.network.send(start);
+        this.start_online_match(start);
+    }
+
+    handle_network_payload(payload) {
+        if (payload.kind === 'start') {
+            this.start_online_match(payload);
+        } else if (payload.kind === 'shot') {
+            this.queue_remote_shot(payload);
+        } else if (payload.kind === 'rematch' || payload.kind === 'new_match') {
+            // Only for the match we're on; a request for one we've already left crossed with our own
+            if (payload.match !== this.match_number) return;
+            const request = payload.kind === 'rematch' ? 'rematch' : 'new';
+            if (this.matchOver) {
+                this.apply_match_request(request);
+            } else {
+                this.pendingMatchRequest = request; // The opponent saw the last round end before we did
+            }
+        }
+    }
+
+    // Both clients start from the same seed and settings, so they generate the same skylines and wind
+    start_online_match(start) {
+        // The host's settings (gravity, skyline, names...) apply to both players; online is always 1 vs 1
+        const localSettings = {};
+        LOCAL_SETTING_KEYS.forEach(key => localSettings[key] = this.settings[key]);
+        this.settings = sanitize_settings({ ...start.settings, ...localSettings, numPlayers: MIN_PLAYERS, teamMode: false });
+        this.wind_level = start.windLevel;
+        this.gusty = start.gusty;
+        this.match_format = start.matchFormat;
+        this.level = null;
+        try {
+            if (start.level) this.level = sanitize_level(start.level);
+        } catch (e) {
+            console.warn("Host sent a broken level, playing a random city.", e);
+        }
+        this.reset_match_stats();
+        this.match_number = start.match;
+        this.remoteShots = []; // Anything still queued belonged to the last match
+        this.reset_game(undefined, start.seed);
+    }
+
+    // The opponent fired. Their game may be ahead of ours (our tab was hidden, our last shot is still
+    // flying), so the shot waits in a queue and is thrown once we've caught up; see apply_remote_shots.
+    queue_remote_shot(shot) {
+        const wellFormed = Number.isInteger(shot.turn) && Object.prototype.hasOwnProperty.call(WEAPONS, shot.weapon) &&
+            Number.isFinite(shot.angle) && shot.angle >= 0 && shot.angle <= 180 &&
+            Number.isFinite(shot.strength) && shot.strength >= MIN_SHOOT_STRENGTH && shot.strength <= MAX_SHOOT_STRENGTH;
+        if (!wellFormed) {
+            this.message = REMOTE_SHOT_SKIPPED_MESSAGE;
+            return;
+        }
+        this.remoteShots.push(shot);
+        this.apply_remote_shots();
+    }
+
+    // Replays the opponent's next queued shot with their exact angle, strength and weapon, as soon as
+    // nothing is in flight or settling and the round is still on. Called on arrival and from update().
+    apply_remote_shots() {
+        if (this.remoteShots.length === 0 || this.is_shot_in_flight() || this.is_settling() || this.gameOver) return;
+        const shot = this.remoteShots.shift();
+        // Caught up, it has to be their turn with a weapon they still have; otherwise the games have drifted apart
+        if (shot.turn !== this.turn || this.turn === this.localPlayer || !(this.ammo[this.turn][shot.weapon] > 0)) {
+            this.message = REMOTE_SHOT_SKIPPED_MESSAGE;
+            return;
+        }
+        this.angles[this.turn] = shot.angle;
+        this.strengths[this.turn] = shot.strength;
+        this.selected_weapons[this.turn] = shot.weapon;
+        this.shoot();
+    }
+
+    // Builds a bullet leaving the given gorilla. Shared by shoot() and the AI's shot simulation.
+    create_bullet(gorillaIndex, angle, strength, weaponKey = 'banana') {
+        const gorilla = this.gorillas[gorillaIndex];
 
         const radAngle = angle * Math.PI / 180;
         // Use a fixed offset slightly larger than gorilla radius + bullet radius
-        const startOffset = GORILLA_RADIUS + BULLET_SIZE / 2 + 5; // Increased offset slightly
+        const startOffset = GORILLA_RADIUS + WEAPONS[weaponKey].size / 2 + 5; // Increased offset slightly
         const startOffsetX = startOffset * Math.cos(radAngle);
         // For Y, negative sin is up. Offset should be *away* from gorilla center.
         const startOffsetY = -startOffset * Math.sin(radAngle);
 
-
         const bulletX = gorilla.x + startOffsetX;
         const bulletY = gorilla.y + startOffsetY;
 
-        // Pass 'this.turn' (the index of the firing gorilla) to the Bullet constructor
-        this.bullet = new Bullet(bulletX, bulletY, angle, strength, this.turn); // Pass this.turn
-
-        this.shots_fired[this.turn]++;
-        this.message = ""; // Clear message, will be updated on hit or turn change
+        return new Bullet(bulletX, bulletY, angle, strength, gorillaIndex, this.wind, weaponKey,
+            this.gravity(), this.settings.explosionRadius / DESTROYED_CIRCLE_SIZE);
     }
 
 
     update(deltaTime) {
+        // Smoke keeps drifting, rain keeps falling and the winners keep dancing over the round result
+        this.sky.update(deltaTime, this.bullets, this.wind);
+        this.particles.update(deltaTime);
+        this.gorillas.forEach(gorilla => {
+            gorilla.update_pose(deltaTime);
+            gorilla.prevY = gorilla.y; // Nothing to interpolate unless update_fall moves it this step (a landed one stays put)
+        });
         if (this.gameOver) return;
 
-        this.sky.update(deltaTime);
         this.handle_input(deltaTime); // Handle angle/strength adjustments
+        if (this.network) this.apply_remote_shots(); // The opponent may have fired while we were catching up
 
-        if (this.bullet) {
-            this.bullet.update(deltaTime);
-            // Pass only necessary arguments to check_collision
-            const hit = this.bullet.check_collision(this.buildings, this.gorillas);
-            if (hit) {
-                this.handle_bullet_hit(hit); // This might set gameOver = true
-                this.bullet = null; // Remove bullet after hit processing
-            }
+        // Let the computer aim and fire on its turn
+        if (!this.is_shot_in_flight() && !this.is_settling() && this.is_cpu_turn()) {
+            this.ai_players[this.turn].update(this, deltaTime);
+        }
+
+        if (this.is_shot_in_flight()) {
+            this.update_bullets(deltaTime);
+            if (sound) sound.update_whistle(this.bullets);
+        }
+
+        // Let gorillas that lost their footing fall, then finish the turn once everyone has landed
+        if (this.is_settling()) {
+            this.update_falls(deltaTime);
         }
 
         // Update Blinking Windows (only if game not over)
         if (!this.gameOver) {
-            const now = performance.now();
+            const now = this.now();
             if (now >= this.nextBlinkTime) {
                 this.update_blinking(now);
             }
         }
     }
 
+    // --- Clock & Timers ---
+    // performance.now() minus the time spent paused. The round timer, blinking windows and
+    // set_timer() all run on this, so a pause freezes them where they are.
+    now() {
+        return (this.paused ? this.pauseStart : performance.now()) - this.pausedDuration;
+    }
+
+    set_paused(paused) {
+        if (paused === this.paused) return;
+        if (paused) {
+            this.pauseStart = performance.now();
+            this.drag = null; // Let go of a slingshot drag rather than fire it on resume
+            if (sound) sound.stop_whistle();
+        } else {
+            this.pausedDuration += performance.now() - this.pauseStart;
+        }
+        this.paused = paused;
+    }
+
+    // Like setTimeout, but on the game clock: run_timers() fires it from the game loop, so nothing
+    // scheduled (message clears, the next round) goes off while the game is paused
+    set_timer(callback, delayMs) {
+        const id = this.nextTimerId++;
+        this.timers.push({ id, at: this.now() + delayMs, callback });
+        return id;
+    }
+
+    clear_timer(id) {
+        this.timers = this.timers.filter(timer => timer.id !== id);
+    }
+
+    run_timers() {
+        if (this.paused || this.timers.length === 0) return;
+        const now = this.now();
+        const due = this.timers.filter(timer => timer.at <= now).sort((a, b) => a.at - b.at);
+        this.timers = this.timers.filter(timer => timer.at > now);
+        due.forEach(timer => timer.callback());
+    }
+
     // Sets a message and optionally clears it after a delay
     setMessage(newMessage, clearDelayMs = null) {
         this.message = newMessage;
         // Clear any existing timeout before setting a new one
         if (this.messageTimeout) {
-            clearTimeout(this.messageTimeout);
+            this.clear_timer(this.messageTimeout);
             this.messageTimeout = null;
         }
         if (clearDelayMs !== null) {
-            this.messageTimeout = setTimeout(() => {
+            this.messageTimeout = this.set_timer(() => {
                 // Only clear if the message hasn't been overwritten by something else
                 if (this.message === newMessage) {
                      // Restore the "Player X Turn" message instead of clearing
-                     this.message = `Player ${this.turn + 1} Turn`;
+                     this.message = this.turn_message();
                 }
                 this.messageTimeout = null;
             }, clearDelayMs);
         }
     }
 
-    handle_bullet_hit(hit) {
+    // Moves every projectile of the current shot and resolves their impacts.
+    // The shot ends when the last projectile has exploded.
+    update_bullets(deltaTime) {
+        const spawned = [];
+        this.bullets = this.bullets.filter(bullet => {
+            bullet.update(deltaTime);
+            if (bullet.should_split()) {
+                spawned.push(...bullet.split());
+                return false;
+            }
+            // Pass only necessary arguments to check_collision
+            const hit = bullet.check_collision(this.buildings, this.gorillas, this.terrain);
+            if (!hit) return true;
+            return this.handle_bullet_hit(hit, bullet); // Diggers and bouncers may keep going
+        });
+        this.bullets.push(...spawned);
+        spawned.forEach(fragment => { if (fragment.path && this.currentShot) this.currentShot.paths.push(fragment.path); });
+
+        if (!this.is_shot_in_flight()) {
+            this.end_shot();
+        }
+    }
+
+    // Applies one impact. Returns true if the projectile survives it (digger tunnelling, bouncer bouncing).
+    handle_bullet_hit(hit, bullet) {
+        if (bullet.path) bullet.path.push({ x: hit.x, y: hit.y }); // Ends the trail exactly at the impact
+        // Special weapons that don't explode on this impact
+        if (hit.type === "building" && bullet.weapon.digBuildings && bullet.digs_through(hit, this.buildings)) {
+            this.terrain.carve_circle(hit.x, hit.y, DIGGER_TUNNEL_RADIUS);
+            return true;
+        }
+        if ((hit.type === "building" || hit.type === "ground") && bullet.bouncesLeft > 0 && bullet.bounce(hit, this.terrain)) {
+            return true;
+        }
+
         const explosion_center = { x: hit.x, y: hit.y };
-        let roundOver = false; // Flag to check if the round ended this hit
-        let hitMessage = ""; // Build the message for this hit
+        const blastRadius = bullet.blastRadius;
+        let hitMessage = ""; // What this impact did
+
+        // Let the AI learn from where its shot landed (before any crater changes the scene)
+        if (this.ai_players[this.turn]) {
+            this.ai_players[this.turn].record_result(this, hit);
+        }
 
         if (hit.type === "direct") {
             const targetIndex = hit.targetIndex;
              if (targetIndex === this.turn) { // Hit self
+                  console.log("Hit self!");
+                  this.add_crater(hit.x, hit.y, blastRadius);
                   hitMessage = "Hit self!";
-                  this.gorillas[targetIndex].health -= 100; // Self-hit is also fatal
+                  this.gorillas[targetIndex].health = 0; // Self-hit is also fatal
              } else { // Hit opponent
-                  hitMessage = `Direct hit on Player ${targetIndex + 1}!`;
-                  this.gorillas[targetIndex].health -= 100; // Direct hit is fatal
+                  hitMessage = `Direct hit on ${this.player_name(targetIndex)}!`;
+                  this.shotDirectHits.push(targetIndex);
+                  this.gorillas[targetIndex].health = 0; // Direct hit is fatal, whatever the starting health
              }
         } else if (hit.type === "building") { // Includes self-hit case treated as building
             hitMessage = "Hit a building!";
+            this.add_crater(hit.x, hit.y, blastRadius);
             // Damage calculation for both gorillas from explosion
             for (let idx = 0; idx < this.gorillas.length; idx++) {
                 const gorilla = this.gorillas[idx];
@@ -687,46 +3724,135 @@ class Game {
 
                 const damage = compute_explosion_damage(
                     explosion_center,
-                    DESTROYED_CIRCLE_SIZE,
+                    blastRadius,
                     { x: gorilla.x, y: gorilla.y },
                     gorilla.radius
                 );
                 if (damage > 0) {
-                    // Round damage for display
-                    const roundedDamage = Math.round(damage);
-                    hitMessage += ` P${idx+1} takes ${roundedDamage} damage.`;
+                    this.shotDamage[idx] += damage; // Reported once the whole shot is over
                     gorilla.health -= damage; // Apply actual damage
                 }
             }
         } else if (hit.type === "ground") {
             hitMessage = "Hit the ground!";
-            destroyedCircles.push({ x: hit.x, y: SCREEN_HEIGHT, radius: DESTROYED_CIRCLE_SIZE / 2}); // Smaller crater
+            this.add_crater(hit.x, SCREEN_HEIGHT, blastRadius / 2); // Smaller crater
         } else if (hit.type === "wall") {
             hitMessage = "Hit the wall!";
         }
+        if (sound) {
+            if (hit.type === "direct") sound.play_direct_hit();
+            else if (hit.type === "building") sound.play_building_hit(blastRadius);
+            else sound.play_ground_thud(); // Ground and walls
+        }
+        this.add_explosion(hit, blastRadius);
         // No message change needed for hitting already destroyed parts
+        // Cluster fragments often hit the same kind of thing - only report it once
+        if (hitMessage && !this.shotEvents.includes(hitMessage)) {
+            this.shotEvents.push(hitMessage);
+        }
+        return false;
+    }
+
+    // Fireball, debris and smoke for an impact, sized like its crater. Debris takes the colour of what was hit.
+    add_explosion(hit, blastRadius) {
+        let debrisColor = DARK_GREY; // Ground and walls
+        let y = hit.y;
+        let radius = blastRadius;
+        if (hit.type === "direct") {
+            debrisColor = this.gorillas[hit.targetIndex].color;
+        } else if (hit.type === "building") {
+            const building = this.buildings.find(b => hit.x >= b.x && hit.x <= b.x + b.width);
+            if (building) debrisColor = building.color;
+        } else {
+            radius = blastRadius / 2; // Like the smaller ground crater
+            if (hit.type === "ground") y = SCREEN_HEIGHT;
+        }
+        this.particles.explode(hit.x, y, radius, debrisColor, this.cosmetic_rng);
+        // Anyone still standing close by cowers
+        this.gorillas.forEach(gorilla => {
+            if (gorilla.health > 0 && Math.hypot(gorilla.x - hit.x, gorilla.y - y) <= radius + GORILLA_FLINCH_RANGE) {
+                gorilla.set_pose('flinch', GORILLA_FLINCH_TIME);
+            }
+        });
+    }
+
+    // Called once every projectile of a shot has exploded: reports it and lets the aftermath play out
+    end_shot() {
+        if (sound) sound.stop_whistle();
+        if (this.currentShot) {
+            const trails = this.trails[this.currentShot.player];
+            trails.push(this.currentShot);
+            if (trails.length > TRAIL_HISTORY) trails.shift();
+        }
+        let hitMessage = this.shotEvents.join(" ");
+        this.shotDamage.forEach((damage, idx) => {
+            // Round damage for display
+            if (damage > 0) hitMessage += ` ${this.player_name(idx)} takes ${Math.round(damage)} damage.`;
+        });
+        hitMessage += ` (${this.format_wind()})`;
+
+        // Anyone standing on ground that just got blown away starts to fall.
+        // The turn only ends (and the round can only be decided) once they've landed.
+        this.pendingHitMessage = hitMessage;
+        this.setMessage(hitMessage); // Shown during any fall; finish_turn adds the outcome
+        this.gorillas.forEach(g => g.check_footing(this.terrain));
+        this.update_falls(0);
+    }
+
+    // Advances falling gorillas, applies fall damage on landing and ends the turn once nobody is falling
+    // and the explosions have finished
+    update_falls(deltaTime) {
+        this.gorillas.forEach((gorilla, idx) => {
+            const drop = gorilla.update_fall(deltaTime, this.terrain, this.gravity());
+            if (drop === null) return;
+            const damage = Math.max(0, (drop - FALL_SAFE_HEIGHT) * FALL_DAMAGE_PER_PIXEL);
+            if (damage > 0 && gorilla.health > 0) {
+                gorilla.health -= damage;
+                this.pendingHitMessage += ` ${this.player_name(idx)} falls and takes ${Math.round(damage)} damage.`;
+            }
+        });
+
+        if (!this.gorillas.some(g => g.falling) && !this.particles.is_busy()) {
+            const hitMessage = this.pendingHitMessage;
+            this.pendingHitMessage = null;
+            this.finish_turn(hitMessage);
+        }
+    }
+
+    // Decides the round (or passes the turn) once a shot has fully played out
+    finish_turn(hitMessage) {
+        let roundOver = false; // Flag to check if the round ended this hit
 
         // Clamp health display minimum to 0 after damage calculation
         this.gorillas.forEach(g => { if (g.health < 0) g.health = 0; });
 
         // --- Check for Game Over ---
         let winner = -1; // Initialize winner index
-        const p1_dead = this.gorillas[0].health <= 0;
-        const p2_dead = this.gorillas[1].health <= 0;
-        roundOver = false; // Reset roundOver flag for this hit check
-
-        if (p1_dead && p2_dead) {
-             // If both die, the player *whose turn it was* loses (opponent wins)
-             winner = 1 - this.turn;
-             hitMessage += ` Both players defeated! Player ${winner + 1} wins the round!`;
-             roundOver = true;
-        } else if (p1_dead) {
-             winner = 1; // Player 2 wins
-             hitMessage += ` Player 1 defeated! Player 2 wins the round!`;
-             roundOver = true;
-        } else if (p2_dead) {
-             winner = 0; // Player 1 wins
-             hitMessage += ` Player 2 defeated! Player 1 wins the round!`;
+        const indices = this.gorillas.map((g, idx) => idx);
+        const standing = indices.filter(idx => this.gorillas[idx].health > 0);
+        const defeated = indices.filter(idx => this.healthAtShot[idx] > 0 && this.gorillas[idx].health <= 0);
+        this.record_shot_stats(defeated);
+        const sidesLeft = new Set(standing.map(idx => this.team_of(idx))).size;
+
+        if (standing.length === 0) {
+             hitMessage += defeated.length === 2 ? ` Both players defeated!` : ` Everyone defeated!`;
+        } else {
+             defeated.forEach(idx => hitMessage += ` ${this.player_name(idx)} defeated!`);
+        }
+
+        if (sidesLeft <= 1) {
+             // The round ends when only one player (or team) is left standing
+             if (standing.length > 0) {
+                 winner = standing[0];
+             } else {
+                 // If the last of them go down together, the side *whose turn it was* loses:
+                 // the first opponent after the shooter in seat order takes the round
+                 for (let step = 1; step <= this.num_players && winner === -1; step++) {
+                     const candidate = (this.turn + step) % this.num_players;
+                     if (defeated.includes(candidate) && this.is_opponent(candidate, this.turn)) winner = candidate;
+                 }
+             }
+             if (winner !== -1) hitMessage += ` ${this.side_name(winner)} wins the round!`;
              roundOver = true;
         }
 
@@ -734,25 +3860,41 @@ class Game {
         this.setMessage(hitMessage, roundOver ? null : 2500); // Show hit message for 2.5s if round continues
 
         if (roundOver) {
-            // Ensure winner index is valid (0 or 1) before proceeding
+            // Ensure winner index is valid before proceeding
             if (winner !== -1) {
-                this.scores[winner]++;
+                // Everyone on the winning side scores (just the winner outside team mode)
+                this.gorillas.forEach((g, idx) => { if (!this.is_opponent(idx, winner)) this.scores[idx]++; });
+                // The winners still standing dance until the next round
+                this.gorillas.forEach((g, idx) => { if (!this.is_opponent(idx, winner) && g.health > 0) g.set_pose('dance'); });
                 this.gameOver = true; // Pause updates
-                const roundEndTime = performance.now();
+                const roundEndTime = this.now();
+                const roundDuration = roundEndTime - this.startTime;
                 // Add the time elapsed in the final round before pausing
-                this.totalTimePaused += (roundEndTime - this.startTime);
+                this.totalTimePaused += roundDuration;
                 this.startTime = roundEndTime; // Reset start time to prevent double counting on reset
-
-                // Pass the winner index to reset_game via setTimeout
-                setTimeout(() => this.reset_game(winner), 3000); // <<< Pass winner index
+                this.rounds_played++;
+                this.lastRoundWinner = winner;
+                if (stats) stats.record_round(this, winner, roundDuration);
+
+                const matchWinner = this.check_match_winner();
+                if (sound) sound.play_fanfare(matchWinner !== -1);
+                if (matchWinner !== -1) {
+                    this.end_match(matchWinner); // The summary screen waits for a rematch or new match
+                } else {
+                    // Pass the winner index to reset_game via a game timer (held back while paused)
+                    this.set_timer(() => this.reset_game(winner), ROUND_END_DELAY); // <<< Pass winner index
+                }
             } else {
                  console.error("Round over but winner index is invalid:", winner); // Should not happen if logic above is correct
                  // Handle potential error state, maybe just reset without changing turn?
-                 setTimeout(() => this.reset_game(), 3000); // Fallback reset
+                 this.set_timer(() => this.reset_game(), ROUND_END_DELAY); // Fallback reset
             }
         } else {
-             // Switch turns only if game is not over
-             this.turn = 1 - this.turn;
+             // Switch turns only if game is not over, skipping eliminated players
+             this.turn = this.next_player(this.turn);
+             if (this.gusty) {
+                 this.wind = this.roll_wind();
+             }
              // Don't immediately overwrite the hit message. setMessage timeout will restore turn message.
         }
     }
@@ -768,7 +3910,19 @@ class Game {
 
         // If there's no specific hit message set, ensure it shows the correct turn
         if (!this.gameOver && (!this.message || this.message === "")) {
-             displayMessage = `Player ${this.turn + 1} Turn`;
+             displayMessage = this.turn_message();
+             if (this.team_mode) {
+                 displayMessage += ` (${TEAM_NAMES[this.team_of(this.turn)]})`;
+             }
+             if (this.network) {
+                 displayMessage += this.turn === this.localPlayer ? " (You)" : " (Opponent)";
+             }
+        }
+
+        // Online connection problems take over the message area until they're resolved
+        const networkMessage = this.network ? this.network.describe_status() : "";
+        if (networkMessage) {
+            displayMessage = networkMessage;
         }
 
         if (displayMessage) {
@@ -782,37 +3936,61 @@ class Game {
     }
 
 
-    draw(ctx) {
-        // 1. Sky (Background and Sun)
-        this.sky.draw(ctx);
+    // alpha: fraction of a physics step elapsed since the last update, used to interpolate moving objects
+    draw(ctx, alpha = 1) {
+        // The playfield goes through the camera (zoomed out while a high shot is up) and shakes with
+        // explosions; the UI on top doesn't
+        ctx.save();
+        this.camera.apply(ctx);
+        if (!this.settings.reducedMotion) {
+            const shake = this.particles.shake_offset();
+            ctx.translate(shake.x, shake.y);
+        }
 
-        // 2. Notification Message (Below Sun, before other UI)
-        this.draw_notification_message(ctx); // Call the dedicated function
+        // 1. Sky (Background and Sun) and wind indicator
+        this.sky.draw(ctx);
+        this.sky.draw_wind(ctx, this.wind);
 
-        // 3. Buildings
-        this.buildings.forEach(building => building.draw(ctx));
+        // 2. Buildings, with crater holes cut out so the sky shows through
+        this.terrain.draw(ctx, layerCtx => this.buildings.forEach(building => building.draw(layerCtx)));
 
-        // 4. Destroyed Circles (Explosions)
-        this.draw_destroyed_circles(ctx);
+        // 3. Crater markers, then the dotted trails of previous shots
+        this.draw_crater_markers(ctx);
+        if (this.settings.showTrails) this.draw_trails(ctx);
 
-        // 5. Bullet
-        if (this.bullet) {
-            this.bullet.draw(ctx);
-        }
+        // 4. Bullet
+        this.bullets.forEach(bullet => bullet.draw(ctx, alpha));
 
-        // 6. Gorillas
-        this.gorillas.forEach(gorilla => gorilla.draw(ctx));
+        // 5. Gorillas (with name tags once there are more than two, so you can tell who's who)
+        this.gorillas.forEach((gorilla, idx) => {
+            const label = this.num_players > MIN_PLAYERS ? this.player_name(idx) : null;
+            gorilla.draw(ctx, alpha, label, PLAYER_COLORS[idx]);
+        });
 
-        // 7. Main UI (Player stats, Time, Turn Indicator)
-        this.draw_ui(ctx); // Draws everything EXCEPT the notification message now
+        // 6. Explosions, then the weather
+        this.particles.draw(ctx);
+        this.sky.draw_weather(ctx, this.settings.reducedMotion);
 
-        // 8. Aiming Arrow (only if no bullet flying and game not over)
-        if (!this.bullet && !this.gameOver) {
+        // 7. Aiming Arrow (only if no bullet flying, nobody falling and game not over)
+        const aiming = !this.is_shot_in_flight() && !this.gameOver && !this.is_settling();
+        if (aiming) {
+            if (this.drag) this.draw_drag_band(ctx);
             this.draw_arrow(ctx);
         }
+        ctx.restore();
+
+        // 8. Notification Message (Below Sun) and main UI (Player stats, Time, Turn Indicator)
+        this.draw_notification_message(ctx);
+        this.draw_ui(ctx);
+        if (aiming && this.is_typing()) this.draw_typed_prompt(ctx);
 
-        // 9. Display Final Game Over Message (draw over everything else)
-         if (this.gameOver && this.message && !this.message.startsWith("Player")) { // Only show final win message, not lingering turn message
+        // 9. Markers for projectiles above the top of the view
+        this.draw_offscreen_markers(ctx, alpha);
+
+        // 10. Display Final Game Over Message (draw over everything else), or the match summary once it's decided
+         if (this.matchOver) {
+             this.draw_match_summary(ctx);
+         } else if (this.gameOver && this.message && this.message !== this.turn_message()) { // Only show final win message, not lingering turn message
              ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
              ctx.fillRect(SCREEN_WIDTH / 4, SCREEN_HEIGHT / 3, SCREEN_WIDTH / 2, SCREEN_HEIGHT / 3);
              ctx.fillStyle = YELLOW;
@@ -823,6 +4001,55 @@ class Game {
          }
     }
 
+    // Match winner, final scores and the rematch / new match buttons
+    draw_match_summary(ctx) {
+        const boxWidth = 1000;
+        const boxHeight = 600;
+        const left = SCREEN_WIDTH / 2 - boxWidth / 2;
+        const top = SCREEN_HEIGHT / 2 - boxHeight / 2;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
+        ctx.fillRect(left, top, boxWidth, boxHeight);
+
+        ctx.textAlign = "center";
+        ctx.fillStyle = YELLOW;
+        ctx.font = "48px sans-serif";
+        ctx.fillText(`${this.side_name(this.matchWinner)} wins the match!`, SCREEN_WIDTH / 2, top + 70);
+
+        const duration = format_duration(this.totalTimePaused);
+        ctx.fillStyle = WHITE;
+        ctx.font = "24px sans-serif";
+        ctx.fillText(`${MATCH_FORMATS[this.match_format].name} - ${this.rounds_played} rounds - ${duration}`, SCREEN_WIDTH / 2, top + 115);
+
+        // How the deciding round ended
+        ctx.fillStyle = GREY;
+        ctx.font = "20px sans-serif";
+        this.wrapText(ctx, this.message, SCREEN_WIDTH / 2, top + 165, boxWidth - 100, 26);
+
+        // One line per player, winners starred
+        ctx.font = "26px sans-serif";
+        this.gorillas.forEach((g, idx) => {
+            const star = this.is_opponent(idx, this.matchWinner) ? "" : "★ ";
+            const team = this.team_mode ? ` (${TEAM_NAMES[this.team_of(idx)]})` : "";
+            ctx.fillStyle = PLAYER_COLORS[idx];
+            ctx.fillText(`${star}${this.player_name(idx)}${team} - ${this.get_controller_label(idx)} - Rounds won: ${this.scores[idx]} - Shots: ${this.shots_fired[idx]}`,
+                SCREEN_WIDTH / 2, top + 240 + idx * 40);
+        });
+
+        ctx.font = "24px sans-serif";
+        ctx.textBaseline = 'middle';
+        this.get_match_buttons().forEach(button => {
+            ctx.fillStyle = DARK_GREY;
+            ctx.fillRect(button.x, button.y, button.width, button.height);
+            ctx.strokeStyle = WHITE;
+            ctx.lineWidth = 2;
+            ctx.strokeRect(button.x, button.y, button.width, button.height);
+            ctx.fillStyle = WHITE;
+            ctx.fillText(button.label, button.x + button.width / 2, button.y + button.height / 2);
+        });
+        ctx.textBaseline = 'alphabetic'; // Reset
+        ctx.textAlign = "left"; // Reset
+    }
+
     // Helper for basic text wrapping, centered vertically
     wrapText(context, text, x, y, maxWidth, lineHeight) {
         if (!text) return; // Safety check
@@ -862,23 +4089,24 @@ class Game {
       }
 
 
-    draw_destroyed_circles(ctx) {
-         // Draw filled explosion area (sky color)
-        ctx.fillStyle = BLUE; // Match sky
-        destroyedCircles.forEach(circle => {
-            ctx.beginPath();
-            ctx.arc(circle.x, circle.y, circle.radius, 0, Math.PI * 2);
-            ctx.fill();
-        });
-
-        // Draw yellow cross marker on top
-        ctx.strokeStyle = YELLOW;
+    draw_crater_markers(ctx) {
+        // The holes themselves are part of the terrain; just draw a cross at each impact.
+        // With trails on, the cross takes the shooter's colour and is labelled with their shot number.
         ctx.lineWidth = 2;
-        destroyedCircles.forEach(circle => {
+        ctx.font = "14px sans-serif";
+        const labelled = new Set(); // A cluster bomb's craters share one label
+        this.craters.forEach(circle => {
              // Draw only if center is roughly on screen
              if (circle.x > -circle.radius && circle.x < SCREEN_WIDTH + circle.radius &&
                  circle.y > -circle.radius && circle.y < SCREEN_HEIGHT + circle.radius)
              {
+                const shot = this.settings.showTrails ? circle.shot : null;
+                ctx.strokeStyle = shot ? PLAYER_COLORS[shot.player] : YELLOW;
+                if (shot && !labelled.has(shot)) {
+                    labelled.add(shot);
+                    ctx.fillStyle = PLAYER_COLORS[shot.player];
+                    ctx.fillText(`P${shot.player + 1}#${shot.number}`, circle.x + 12, circle.y - 6);
+                }
                 ctx.beginPath();
                 ctx.moveTo(circle.x - 10, circle.y);
                 ctx.lineTo(circle.x + 10, circle.y);
@@ -890,52 +4118,113 @@ class Game {
     }
 
 
+    // Each player's previous shots as faint dotted arcs in their colour (older = fainter)
+    draw_trails(ctx) {
+        ctx.save();
+        ctx.lineWidth = 2;
+        ctx.lineCap = "round";
+        ctx.setLineDash([2, 8]);
+        this.trails.forEach((shots, player) => {
+            ctx.strokeStyle = PLAYER_COLORS[player];
+            shots.forEach((shot, age) => {
+                ctx.globalAlpha = TRAIL_ALPHA / (shots.length - age); // The latest at TRAIL_ALPHA
+                shot.paths.forEach(path => {
+                    ctx.beginPath();
+                    ctx.moveTo(path[0].x, path[0].y);
+                    for (let i = 1; i < path.length; i++) ctx.lineTo(path[i].x, path[i].y);
+                    ctx.stroke();
+                });
+            });
+        });
+        ctx.restore();
+    }
+
     // Draws the top-left/right player info, time, and turn indicator
     draw_ui(ctx) {
         ctx.fillStyle = WHITE;
         ctx.font = "20px sans-serif";
         const lineHeight = 25;
 
-        // Player 1 UI (Top Left)
+        // One column per player: the first half from the top left, the rest from the top right
         let yPos = 130; // <<< CHANGED: Moved down 4 rows (previously 30)
-        ctx.fillText(`P1 Angle: ${this.angles[0].toFixed(1)}°`, 10, yPos);
-        ctx.fillText(`P1 Strength: ${this.strengths[0].toFixed(1)}`, 10, yPos + lineHeight);
-        ctx.fillText(`Health: ${Math.max(0, Math.round(this.gorillas[0].health)).toFixed(0)}`, 10, yPos + 2 * lineHeight); 
-        ctx.fillText(`Score: ${this.scores[0]}`, 10, yPos + 3 * lineHeight);
-        ctx.fillText(`Shots: ${this.shots_fired[0]}`, 10, yPos + 4 * lineHeight);
-
-        // Player 2 UI (Top Right)
-        ctx.textAlign = "right";
-        yPos = 130; // <<< CHANGED: Moved down 4 rows (previously 30)
-        ctx.fillText(`P2 Angle: ${this.angles[1].toFixed(1)}°`, SCREEN_WIDTH - 10, yPos);
-        ctx.fillText(`P2 Strength: ${this.strengths[1].toFixed(1)}`, SCREEN_WIDTH - 10, yPos + lineHeight);
-        ctx.fillText(`Health: ${Math.max(0, Math.round(this.gorillas[1].health)).toFixed(0)}`, SCREEN_WIDTH - 10, yPos + 2 * lineHeight); 
-        ctx.fillText(`Score: ${this.scores[1]}`, SCREEN_WIDTH - 10, yPos + 3 * lineHeight);
-        ctx.fillText(`Shots: ${this.shots_fired[1]}`, SCREEN_WIDTH - 10, yPos + 4 * lineHeight);
+        for (let idx = 0; idx < this.num_players; idx++) {
+            const column = this.get_ui_column(idx);
+            ctx.textAlign = column.align;
+            ctx.fillStyle = PLAYER_COLORS[idx];
+            ctx.fillText(this.player_name(idx), column.x, yPos - 22); // Name above the turn underline
+            ctx.fillStyle = WHITE;
+            ctx.fillText(`P${idx + 1} Angle: ${this.angles[idx].toFixed(1)}°`, column.x, yPos);
+            ctx.fillText(`P${idx + 1} Strength: ${this.strengths[idx].toFixed(1)}`, column.x, yPos + lineHeight);
+            ctx.fillText(`Health: ${Math.max(0, Math.round(this.gorillas[idx].health)).toFixed(0)}`, column.x, yPos + 2 * lineHeight);
+            ctx.fillText(`Score: ${this.scores[idx]}`, column.x, yPos + 3 * lineHeight);
+            ctx.fillText(`Shots: ${this.shots_fired[idx]}`, column.x, yPos + 4 * lineHeight);
+            ctx.fillText(this.get_controller_label(idx), column.x, yPos + 5 * lineHeight);
+            ctx.fillText(`Weapon: ${this.format_weapon(idx)}`, column.x, yPos + 6 * lineHeight);
+            if (this.team_mode) {
+                ctx.fillText(TEAM_NAMES[this.team_of(idx)], column.x, yPos + 7 * lineHeight);
+            }
+        }
         ctx.textAlign = "left"; // Reset alignment
 
         // Total Time Played (Top Center)
-         const currentTime = performance.now();
+         const currentTime = this.now();
          const timeElapsedThisRound = this.gameOver ? 0 : (currentTime - this.startTime);
          const totalTimePlayedSeconds = (this.totalTimePaused + timeElapsedThisRound) / 1000;
 
         ctx.textAlign = "center";
         ctx.fillText(`Time: ${totalTimePlayedSeconds.toFixed(1)}s`, SCREEN_WIDTH / 2, 205); // <<< CHANGED: Moved down 4 rows
+        const windName = this.level && this.level.wind !== null ? "Set by level" : `${WIND_LEVELS[this.wind_level].name}${this.gusty ? " (Gusty)" : ""}`;
+        ctx.fillText(`Wind: ${windName}`, SCREEN_WIDTH / 2, 230);
+        ctx.fillText(this.format_match(), SCREEN_WIDTH / 2, 255);
+        if (this.team_mode) {
+            // Teammates always score together, so the first seat of each team holds its score
+            ctx.fillText(`${TEAM_NAMES[0]} ${this.scores[0]} - ${this.scores[1]} ${TEAM_NAMES[1]}`, SCREEN_WIDTH / 2, 280);
+        }
         ctx.textAlign = "left"; // Reset alignment
 
+        // Round seed (Bottom Left) - load the page with ?seed=<number> to replay this skyline
+        ctx.font = "16px sans-serif";
+        ctx.fillText(`Seed: ${this.round_seed}${this.level ? ` - Level: ${this.level.name}` : ""}`, 10, SCREEN_HEIGHT - 10);
+        if (this.settings.muted) {
+            ctx.textAlign = "right";
+            ctx.fillText("Sound muted (M)", SCREEN_WIDTH - 10, SCREEN_HEIGHT - 10);
+            ctx.textAlign = "left";
+        }
+        ctx.font = "20px sans-serif";
+
         // Indicate current turn with underline (draw regardless of message)
-        ctx.fillStyle = this.turn === 0 ? CYAN : YELLOW;
+        ctx.fillStyle = PLAYER_COLORS[this.turn];
         const underlineWidth = 200;
         const underlineY = 115; // <<< CHANGED: Moved down 4 rows (previously 15)
         if (!this.gameOver) { 
-            if (this.turn === 0) {
-                 ctx.fillRect(5, underlineY, underlineWidth, 5); // Line under P1 UI area
+            const column = this.get_ui_column(this.turn);
+            if (column.align === "left") {
+                 ctx.fillRect(column.x - 5, underlineY, underlineWidth, 5); // Line under a left-hand UI column
             } else {
-                 ctx.fillRect(SCREEN_WIDTH - underlineWidth - 5, underlineY, underlineWidth, 5); // Line under P2 UI area
+                 ctx.fillRect(column.x + 5 - underlineWidth, underlineY, underlineWidth, 5); // Line under a right-hand UI column
             }
         }
     }
 
+    // Where a player's stat column goes: left-aligned columns fill in from the top left, right-aligned from the top right
+    get_ui_column(index) {
+        if (index < this.num_players / 2) {
+            return { x: 10 + index * UI_COLUMN_SPACING, align: "left" };
+        }
+        return { x: SCREEN_WIDTH - 10 - (this.num_players - 1 - index) * UI_COLUMN_SPACING, align: "right" };
+    }
+
+    get_controller_label(index) {
+        const ai = this.ai_players[index];
+        if (this.network && this.localPlayer !== null) {
+            if (index !== this.localPlayer) return "Online opponent";
+            return this.typed_input[index] ? "You (typed)" : "You";
+        }
+        if (ai) return `CPU (${ai.settings.name})`;
+        if (this.typed_input[index]) return "Human (typed)";
+        return gamepads && gamepads.has_pad(index) ? "Human (controller)" : "Human";
+    }
+
     draw_arrow(ctx) {
         const gorilla = this.gorillas[this.turn];
         const angle = this.angles[this.turn];
@@ -976,11 +4265,79 @@ class Game {
         ctx.fill(); // Fill the arrowhead
     }
 
+    // An arrow at the top edge above each projectile that's out of view, with how high it is
+    draw_offscreen_markers(ctx, alpha) {
+        ctx.font = "16px sans-serif";
+        ctx.textAlign = "center";
+        this.bullets.forEach(bullet => {
+            const y = bullet.prevY + (bullet.y - bullet.prevY) * alpha;
+            const x = bullet.prevX + (bullet.x - bullet.prevX) * alpha;
+            const screen = this.camera.to_screen({ x, y });
+            if (screen.y >= 0) return;
+            const markerX = Math.max(20, Math.min(SCREEN_WIDTH - 20, screen.x));
+            ctx.fillStyle = PLAYER_COLORS[bullet.firingGorillaIndex];
+            ctx.beginPath();
+            ctx.moveTo(markerX, 4);
+            ctx.lineTo(markerX - 10, 22);
+            ctx.lineTo(markerX + 10, 22);
+            ctx.closePath();
+            ctx.fill();
+            ctx.fillText(`${Math.round(-y)}px`, markerX, 42); // Height above the top of the screen
+        });
+        ctx.textAlign = "left";
+        ctx.font = "20px sans-serif";
+    }
+
+    // The slingshot's rubber band, from the gorilla to the pointer
+    draw_drag_band(ctx) {
+        const gorilla = this.gorillas[this.turn];
+        ctx.save();
+        ctx.strokeStyle = PLAYER_COLORS[this.turn];
+        ctx.globalAlpha = 0.6;
+        ctx.lineWidth = 3;
+        ctx.setLineDash([6, 6]);
+        ctx.beginPath();
+        ctx.moveTo(gorilla.x, gorilla.y);
+        ctx.lineTo(this.drag.x, this.drag.y);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    // The typed-entry prompt, in the middle of the sky below the match info
+    draw_typed_prompt(ctx) {
+        const entry = this.typedEntry;
+        const width = 520;
+        const x = SCREEN_WIDTH / 2 - width / 2;
+        const y = 300;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(x, y, width, 120);
+        ctx.strokeStyle = PLAYER_COLORS[this.turn];
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x, y, width, 120);
+
+        ctx.font = "22px sans-serif";
+        ctx.textAlign = "left";
+        const lines = [
+            ['angle', "Angle (0-180)", this.angles[this.turn]],
+            ['strength', `Velocity (${MIN_SHOOT_STRENGTH}-${MAX_SHOOT_STRENGTH})`, this.strengths[this.turn]]
+        ];
+        lines.forEach(([field, label, current], row) => {
+            const active = entry.field === field;
+            ctx.fillStyle = active ? WHITE : GREY;
+            // The active line shows what's typed so far; the other shows the value that will be used
+            ctx.fillText(`${label}: ${active ? entry.text + "_" : current.toFixed(1)}`, x + 20, y + 35 + row * 32);
+        });
+        ctx.font = "16px sans-serif";
+        ctx.fillStyle = entry.error ? RED : GREY;
+        ctx.fillText(entry.error || "Enter to confirm (empty keeps the current value), I to aim with keys", x + 20, y + 105);
+        ctx.font = "20px sans-serif";
+    }
+
     update_blinking(currentTime) {
-        const num_windows_to_toggle = Math.floor(Math.random() * 11) + 5; // 5 to 15
+        const num_windows_to_toggle = this.cosmetic_rng.int(11) + 5; // 5 to 15
         for (let i = 0; i < num_windows_to_toggle; i++) {
             if (this.buildings.length === 0) continue;
-            const building_index = Math.floor(Math.random() * this.buildings.length);
+            const building_index = this.cosmetic_rng.int(this.buildings.length);
             const building = this.buildings[building_index];
             // More robust checks for valid window states
             if (!building || !building.window_states || building.window_states.length === 0 || !building.window_states[0] || building.window_states[0].length === 0) continue;
@@ -989,34 +4346,52 @@ class Game {
             const num_cols = building.window_states[0].length;
 
             if (num_rows > 0 && num_cols > 0) {
-                const row_index = Math.floor(Math.random() * num_rows);
-                const col_index = Math.floor(Math.random() * num_cols);
+                const row_index = this.cosmetic_rng.int(num_rows);
+                const col_index = this.cosmetic_rng.int(num_cols);
                 // Check if indices are valid before accessing
                 if (building.window_states[row_index] !== undefined && building.window_states[row_index][col_index] !== undefined) {
-                    building.window_states[row_index][col_index] = !building.window_states[row_index][col_index];
+                    // Dark windows always light up; lit ones only go dark often enough to keep the theme's share of lights on
+                    const lit = this.sky.theme.litWindows;
+                    if (!building.window_states[row_index][col_index] || this.cosmetic_rng.next() < (1 - lit) / lit) {
+                        building.window_states[row_index][col_index] = !building.window_states[row_index][col_index];
+                    }
                 }
             }
         }
         // Schedule next blink
-        this.nextBlinkTime = currentTime + (Math.random() * 0.5 + 0.25) * 1000; // 0.25 to 0.75 seconds later
+        this.nextBlinkTime = currentTime + (this.cosmetic_rng.next() * 0.5 + 0.25) * 1000; // 0.25 to 0.75 seconds later
     }
 
-    reset_game(winnerIndex) { // <<< Added winnerIndex parameter
+    reset_game(winnerIndex, seed = null) { // <<< Added winnerIndex parameter; seed forces the next skyline (online play)
         console.log(`Resetting game. Previous winner index: ${winnerIndex}`);
-        // Clear any lingering message timeout from previous round
-        if (this.messageTimeout) {
-            clearTimeout(this.messageTimeout);
-            this.messageTimeout = null;
-        }
-        destroyedCircles = []; // Clear explosion marks
+        // Clear any lingering message timeout (or a queued reset) from the previous round
+        this.timers = [];
+        this.messageTimeout = null;
+        // Chain the next round's seed off this round's sequence, so one starting seed replays a whole session
+        this.start_round_rng(seed !== null ? seed : this.rng.next_seed());
+        this.sky.set_theme(this.pick_sky_theme(), this.cosmetic_rng);
         this.buildings = this.create_buildings();
+        this.terrain = this.create_terrain(); // Fresh, undamaged terrain
+        this.craters = []; // Clear explosion marks
+        this.particles.clear();
         // Make sure gorillas are placed *after* new buildings exist
         this.gorillas = this.place_gorillas();
-        this.bullet = null;
+        this.trails = this.gorillas.map(() => []); // Old trails don't fit the new skyline
+        this.currentShot = null;
+        this.typedEntry = this.create_typed_entry();
+        this.drag = null;
+        this.bullets = [];
+        this.pendingHitMessage = null;
+
+        // Every weapon is restocked each round
+        this.ammo = this.gorillas.map(() => this.create_ammo());
+        this.selected_weapons = this.gorillas.map(() => 'banana');
+        this.roundStats = this.create_round_stats();
 
         // --- Set next turn based on loser ---
-        if (winnerIndex !== undefined && winnerIndex !== -1 && winnerIndex >= 0 && winnerIndex <= 1) { // Check if a valid winner was passed
-            const loserIndex = 1 - winnerIndex;
+        if (winnerIndex !== undefined && winnerIndex !== -1 && winnerIndex >= 0 && winnerIndex < this.num_players) { // Check if a valid winner was passed
+            // The first loser after the winner in seat order (with two players, simply the loser)
+            const loserIndex = this.next_player(winnerIndex, idx => this.is_opponent(idx, winnerIndex));
             this.turn = loserIndex; // <<< Loser starts next round
             console.log(`Loser (${loserIndex + 1}) starts next round.`);
         } else {
@@ -1024,25 +4399,32 @@ class Game {
              console.warn("Resetting game without a valid previous winner index. Defaulting turn to 0.");
              this.turn = 0; // Default to player 1 start
         }
+        this.roundStarter = this.turn; // Restart Round hands the first shot back to them
+        this.roundStartShots = this.shots_fired.slice(); // ...and takes this round's shots back off the counts
 
-        this.message = `Player ${this.turn + 1} Turn`; // Indicate whose turn starts
+        this.message = this.turn_message(); // Indicate whose turn starts
 
         // Keep scores, shots_fired
         // Reset health
-        this.gorillas.forEach(g => g.health = 100);
+        this.gorillas.forEach(g => g.health = this.settings.startingHealth);
 
         // Reset angles/strengths
-        this.angles = [45, 135];
-        this.strengths = [100, 100];
+        this.angles = this.default_angles();
+        this.strengths = this.gorillas.map(() => 100);
+
+        // New round, new wind
+        this.wind = this.roll_wind();
 
         // Reset round timer stuff - totalTimePaused is cumulative, startTime needs reset
-        this.startTime = performance.now();
+        this.startTime = this.now();
 
-        this.nextBlinkTime = performance.now() + (Math.random() * 0.5 + 0.25) * 1000;
+        this.nextBlinkTime = this.now() + (this.cosmetic_rng.next() * 0.5 + 0.25) * 1000;
         this.gameOver = false; // Allow updates again
         this.lastFrameTime = performance.now(); // Reset delta time calculation
         // Clear lingering key presses
-        this.keyPressDurations = { ArrowLeft: 0, ArrowRight: 0, ArrowUp: 0, ArrowDown: 0 };
+        this.keyPressDurations = { aimLeft: 0, aimRight: 0, powerUp: 0, powerDown: 0 };
+        // AI memory (misses, pending aim) only applies within a round
+        this.ai_players.forEach(ai => { if (ai) ai.reset_round(); });
         // keysPressed = {}; // Optionally clear global state too, but might interfere if keys held during reset
     }
 }
@@ -1050,33 +4432,212 @@ class Game {
 
 // --- Event Listeners ---
 window.addEventListener('keydown', (e) => {
-    // Use e.key for modern browsers - ArrowLeft, ArrowRight, ArrowUp, ArrowDown, Space
-    keysPressed[e.key] = true;
+    // The key bindings screen takes every key while it's waiting for a new binding
+    if (bindingsOpen) {
+        handleBindingKey(e);
+        return;
+    }
+    // H or Escape closes the stats screen
+    if (statsOpen && !e.repeat && (e.key === 'h' || e.key === 'H' || e.key === 'Escape')) {
+        closeStatsScreen();
+        return;
+    }
+    // The level editor has its own keys (and comes up over the settings screen)
+    if (editorOpen) {
+        handleEditorKey(e);
+        return;
+    }
+    // The settings screen's own inputs get the keyboard (typing a name mustn't fire a banana)
+    if (settingsOpen || statsOpen) return;
+
+    // Escape or P pauses and resumes. While the pause menu is up, its buttons are the only controls.
+    if (!e.repeat && (e.key === 'Escape' || e.key === 'p' || e.key === 'P')) {
+        togglePauseMenu();
+        return;
+    }
+    if (pauseOpen) return;
+
+    // Typed entry: digits, '.', Backspace and Enter go to the angle/velocity prompt, not the hotkeys
+    if (game && game.is_typing() && game.handle_typed_key(e.key)) {
+        e.preventDefault();
+        return;
+    }
 
-    // Prevent default browser action for arrow keys and space (scrolling)
-    if (['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', ' '].includes(e.key)) {
+    const key = normalize_key(e.key);
+    keysPressed[key] = true; // Held aim keys are read in handle_input
+
+    // Prevent default browser action for bound keys (arrows and Space scroll, Tab moves focus)
+    if (is_bound_key(key)) {
         e.preventDefault();
     }
 
-    // Handle Spacebar for shooting
-    if (e.key === ' ' || e.key === 'Spacebar') { // Check both possible values
-        if (game && !game.gameOver && !game.bullet) { // Ensure game exists, not over, and no bullet flying
-             game.shoot();
+    // Fire and weapon keys: only the active player's bindings count
+    const action = game ? game.get_bound_action(key) : null;
+    if (action === 'fire' && !game.gameOver && !game.is_shot_in_flight()) {
+        game.shoot();
+    } else if (action === 'weapon' && !e.repeat) {
+        game.cycle_weapon();
+    }
+
+    // Match summary: R for a rematch, Enter for a new match
+    if (game && game.matchOver && !e.repeat) {
+        if (e.key === 'r' || e.key === 'R') {
+            game.rematch();
+        } else if (e.key === 'Enter') {
+            game.new_match();
+        }
+    }
+
+    // CPU opponent and wind toggles (ignore auto-repeat so a held key doesn't spin through options)
+    if (game && !e.repeat) {
+        if (e.key === 'c' || e.key === 'C') {
+            game.cycle_cpu_players();
+        } else if (e.key === 'l' || e.key === 'L') {
+            game.cycle_ai_level();
+        } else if (e.key === 'n' || e.key === 'N') {
+            game.cycle_wind_level();
+        } else if (e.key === 'g' || e.key === 'G') {
+            game.toggle_gusty();
+        } else if (e.key.length === 1 && e.key >= String(MIN_PLAYERS) && e.key <= String(MAX_PLAYERS)) {
+            game.set_player_count(Number(e.key)); // Number keys pick the player count (starts a new match)
+        } else if (e.key === 't' || e.key === 'T') {
+            game.toggle_teams();
+        } else if (e.key === 'b' || e.key === 'B') {
+            game.cycle_match_format();
+        } else if (e.key === 'o' || e.key === 'O') {
+            openSettingsScreen();
+        } else if (e.key === 'h' || e.key === 'H') {
+            openStatsScreen();
+        } else if (e.key === 'm' || e.key === 'M') {
+            game.toggle_mute();
+        } else if (e.key === 'i' || e.key === 'I') {
+            game.toggle_typed_input();
+        } else if (e.key === 'k' || e.key === 'K') {
+            openBindingsScreen();
+        } else if (e.key === 'e' || e.key === 'E') {
+            openLevelEditor();
         }
     }
 });
 
 window.addEventListener('keyup', (e) => {
-    keysPressed[e.key] = false;
-    // Reset duration when key is released - ensure the key exists in durations object
-     if (game && game.keyPressDurations && game.keyPressDurations.hasOwnProperty(e.key)) {
-         game.keyPressDurations[e.key] = 0;
-     }
+    keysPressed[normalize_key(e.key)] = false; // handle_input resets the action's acceleration once it's released
+});
+
+// Browsers only start audio from a user gesture, so the first key press or touch unlocks it
+['keydown', 'pointerdown', 'touchstart'].forEach(type => window.addEventListener(type, () => {
+    if (sound) sound.unlock();
+}, { passive: true }));
+
+// Maps a mouse/touch event into canvas coordinates. The bounding rect includes the CSS scale()
+// that scaleGame puts on #screen, so this gets back to the fixed SCREEN_WIDTH x SCREEN_HEIGHT canvas.
+function canvasPoint(e) {
+    const rect = canvas.getBoundingClientRect();
+    return { x: (e.clientX - rect.left) * SCREEN_WIDTH / rect.width, y: (e.clientY - rect.top) * SCREEN_HEIGHT / rect.height };
+}
+
+// Clicks/taps on the canvas (match summary buttons)
+canvas.addEventListener('click', (e) => {
+    if (!game || editorOpen) return;
+    const point = canvasPoint(e);
+    game.handle_click(point.x, point.y);
+});
+
+// Drag-to-aim with a mouse, pen or finger. Capturing the pointer keeps the drag going outside the canvas.
+canvas.addEventListener('pointerdown', (e) => {
+    if (editorOpen) {
+        const point = canvasPoint(e); // The editor always shows the whole screen, without the camera
+        const problem = editor.pointer_down(point.x, point.y);
+        if (problem) setEditorStatus(problem);
+        renderLevelEditor();
+        e.preventDefault();
+        canvas.setPointerCapture(e.pointerId);
+        return;
+    }
+    if (!game || settingsOpen || statsOpen || bindingsOpen || pauseOpen) return;
+    const point = game.camera.to_world(canvasPoint(e)); // The camera may still be easing back
+    if (game.start_drag(point.x, point.y)) {
+        e.preventDefault();
+        canvas.setPointerCapture(e.pointerId);
+    }
+});
+canvas.addEventListener('pointermove', (e) => {
+    if (editorOpen) {
+        const point = canvasPoint(e);
+        editor.pointer_move(point.x, point.y);
+        return;
+    }
+    if (!game || !game.drag) return;
+    const point = game.camera.to_world(canvasPoint(e));
+    game.update_drag(point.x, point.y);
+});
+canvas.addEventListener('pointerup', (e) => {
+    if (editorOpen) {
+        editor.pointer_up();
+        return;
+    }
+    if (!game || !game.drag) return;
+    const point = game.camera.to_world(canvasPoint(e));
+    game.end_drag(point.x, point.y);
+});
+canvas.addEventListener('pointercancel', (e) => {
+    if (editorOpen) {
+        editor.pointer_up();
+        return;
+    }
+    if (!game || !game.drag) return;
+    const point = game.camera.to_world(canvasPoint(e));
+    game.end_drag(point.x, point.y, false);
+});
+
+
+// Controller buttons, from gamepads.poll() each frame: A fires, LB/RB cycle weapons, Start moves the pad to
+// another player slot. Like the keyboard, only the active player's controller does anything.
+function handleGamepadPresses(presses) {
+    if (!game || settingsOpen || statsOpen || bindingsOpen || pauseOpen || editorOpen) return;
+    presses.forEach(({ pad, slot, button }) => {
+        if (button === GAMEPAD_BUTTON_START) {
+            gamepads.next_slot(pad);
+        } else if (game.matchOver) {
+            if (button === GAMEPAD_BUTTON_FIRE) game.rematch();
+        } else if (slot === game.pad_slot() && game.is_local_turn()) {
+            if (button === GAMEPAD_BUTTON_FIRE && !game.gameOver && !game.is_shot_in_flight()) {
+                game.shoot();
+            } else if (GAMEPAD_BUTTONS_WEAPON.includes(button)) {
+                game.cycle_weapon();
+            }
+        }
+    });
+}
+
+window.addEventListener('gamepadconnected', (e) => { if (gamepads) gamepads.connect(e.gamepad); });
+window.addEventListener('gamepaddisconnected', (e) => { if (gamepads) gamepads.disconnect(e.gamepad); });
+
+// Switching tabs or windows pauses the game. Browsers stop calling requestAnimationFrame for hidden
+// tabs anyway, but the round clock and the game timers would otherwise carry on without us.
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden) openPauseMenu();
+});
+window.addEventListener('blur', () => openPauseMenu());
+
+// Dropping a level file anywhere on the page loads it into the editor if that's open. Otherwise it's
+// saved with the other levels and picked on the settings screen, ready to start.
+window.addEventListener('dragover', (e) => e.preventDefault()); // Or the browser just opens the file
+window.addEventListener('drop', (e) => {
+    e.preventDefault();
+    const file = e.dataTransfer.files[0];
+    if (!file || !game) return;
+    if (editorOpen) {
+        readLevelFile(file, level => loadIntoEditor(level, `Loaded ${file.name}.`), setEditorStatus);
+    } else if (!game.network && !statsOpen && !bindingsOpen && !pauseOpen) {
+        readLevelFile(file, pickLevel, message => game.setMessage(message, 3000));
+    }
 });
 
 
 // --- Game Loop ---
 let lastTime = 0;
+let accumulator = 0; // Real time not yet consumed by fixed physics steps
 
 function gameLoop(timestamp) {
     // Calculate delta time in seconds
@@ -1087,21 +4648,37 @@ function gameLoop(timestamp) {
     lastTime = timestamp;
 
     // Guard against huge deltaTime spikes (e.g., tab unfocus) and zero/negative delta
-    const dt = Math.max(0, Math.min(deltaTime, 0.1)); // Max delta time step 100ms, ensure non-negative
+    const dt = Math.max(0, Math.min(deltaTime, MAX_FRAME_TIME));
+
+    // Controllers are polled rather than sending events
+    if (gamepads) handleGamepadPresses(gamepads.poll());
 
-    // Update game state only if deltaTime is valid and game object exists
-    if (dt > 0 && game) {
-       // Only update if not game over (resetting)
-       if (!game.gameOver) {
-          game.update(dt);
+    // Run the simulation in fixed PHYSICS_STEP increments, whatever the display's refresh rate.
+    // Leftover time carries over to the next frame.
+    if (game) {
+       game.run_timers(); // Message clears and the next round, on the pausable game clock
+       accumulator += dt;
+       while (accumulator >= PHYSICS_STEP) {
+          // Only update if not paused and no screen is over the game, which online doesn't stop it
+          // (between rounds, update() only moves the smoke)
+          if (!game.paused && (game.network || (!settingsOpen && !statsOpen && !bindingsOpen && !editorOpen))) {
+             game.update(PHYSICS_STEP);
+          }
+          accumulator -= PHYSICS_STEP;
        }
     }
 
-    // Draw the game regardless of update pause (but check if game exists)
-    if (game) {
+    // Draw the game regardless of update pause (but check if game exists). The level editor draws its level instead.
+    if (editorOpen) {
+       ctx.clearRect(0, 0, SCREEN_WIDTH, SCREEN_HEIGHT);
+       editor.draw(ctx);
+    } else if (game) {
+       game.camera.update(dt, game.settings.followCamera ? game.bullets : []);
        // Clear canvas before drawing
        ctx.clearRect(0, 0, SCREEN_WIDTH, SCREEN_HEIGHT);
-       game.draw(ctx);
+       // Interpolate between the last two physics steps for smooth motion on high refresh rate screens
+       game.draw(ctx, accumulator / PHYSICS_STEP);
+       if (gamepads) gamepads.draw_notice(ctx);
     }
 
     // Request next frame
@@ -1115,8 +4692,42 @@ function startGame() {
         console.error("Canvas or context not found. Cannot start game.");
         return;
     }
-    game = new Game();
+    stats = new StatsStore();
+    sound = new SoundSystem(); // Silent until the first key press or touch
+    gamepads = new GamepadInput();
+    setupSettingsScreen(); // Built before anything can open it
+    setupStatsScreen();
+    setupBindingsScreen();
+    setupPauseMenu();
+    setupLevelEditor();
+    // Optional "?seed=12345" in the URL starts the first round from a known skyline
+    const params = new URLSearchParams(window.location.search);
+    const online = params.get('online') === 'host' || params.get('join');
+    pendingSeed = parse_seed(params.get('seed'));
+    // Start from the last used settings. "?players=3" or "?players=4&teams=1" override the line-up
+    // (online games are always 1 vs 1).
+    const settings = load_settings();
+    if (online) {
+        settings.numPlayers = MIN_PLAYERS;
+        settings.teamMode = false;
+    } else if (params.get('players')) {
+        settings.numPlayers = parseInt(params.get('players'), 10);
+        settings.teamMode = params.get('teams') === '1';
+    }
+    // "?level=Canyon" plays a built-in or saved level. Anything else is taken as the URL of a level file,
+    // which is fetched, saved and picked on the settings screen.
+    const levelParam = params.get('level');
+    if (levelParam && find_level(levelParam)) settings.level = levelParam;
+    game = new Game(pendingSeed, sanitize_settings(settings));
+    // Online play: "?online=host" starts a lobby, "?join=CODE" joins one. "?server=ws://host:port" picks the relay.
+    if (online) {
+        game.start_network(params.get('server') || default_relay_url(), params.get('join'));
+    } else {
+        openSettingsScreen(false); // Pick the settings before the first match
+        if (levelParam && !find_level(levelParam)) loadLevelUrl(levelParam);
+    }
     lastTime = 0; // Reset lastTime for the first frame calculation
+    accumulator = 0;
     requestAnimationFrame(gameLoop);
 }
 
@@ -1177,29 +4788,36 @@ if (mobileToggleBtn) {
 function setupMobileControls() {
     if (!mobileControls) return;
 
-    // Helper to map touch/mouse events to your keysPressed object
-    const addControlListener = (elementId, key) => {
+    // Helper to map touch/mouse events to binding actions (the buttons work for whoever's turn it is)
+    const addControlListener = (elementId, action) => {
         const element = document.getElementById(elementId);
         if (!element) return;
         
         const pressKey = (e) => {
             // Prevent default browser zooming/scrolling behavior
             if(e.cancelable) e.preventDefault(); 
-            keysPressed[key] = true;
+            touchActions[action] = true;
             
             // If the shoot button is pressed, trigger game.shoot()
-            if (key === ' ' && game && !game.gameOver && !game.bullet) {
+            if (action === 'fire' && game && !game.gameOver && !game.is_shot_in_flight() && game.is_local_turn()) {
                 game.shoot();
             }
+            // The weapon button cycles weapons like the weapon key
+            if (action === 'weapon' && game) {
+                game.cycle_weapon();
+            }
+            // The speaker button mutes like the M key
+            if (action === 'mute' && game) {
+                game.toggle_mute();
+            }
+            // The pause button works like Escape
+            if (action === 'pause' && game) {
+                togglePauseMenu();
+            }
         };
         const releaseKey = (e) => {
             if(e.cancelable) e.preventDefault();
-            keysPressed[key] = false;
-            
-            // Reset duration when key is released (matches keyup listener)
-            if (game && game.keyPressDurations && game.keyPressDurations.hasOwnProperty(key)) {
-                game.keyPressDurations[key] = 0;
-            }
+            touchActions[action] = false; // handle_input resets the acceleration once it's released
         };
 
         // Touch Events
@@ -1215,12 +4833,15 @@ function setupMobileControls() {
         });
     };
 
-    // Map DOM Buttons to the Game Engine Keys
-    addControlListener('mobile-left', 'ArrowLeft');
-    addControlListener('mobile-right', 'ArrowRight');
-    addControlListener('mobile-up', 'ArrowUp');
-    addControlListener('mobile-down', 'ArrowDown');
-    addControlListener('mobile-shoot', ' ');
+    // Map DOM Buttons to the game's binding actions
+    addControlListener('mobile-left', 'aimLeft');
+    addControlListener('mobile-right', 'aimRight');
+    addControlListener('mobile-up', 'powerUp');
+    addControlListener('mobile-down', 'powerDown');
+    addControlListener('mobile-shoot', 'fire');
+    addControlListener('mobile-weapon', 'weapon');
+    addControlListener('mobile-mute', 'mute');
+    addControlListener('mobile-pause', 'pause');
 }
 
 // Initialize controls and scaling after DOM loads
@@ -1228,3 +4849,622 @@ document.addEventListener('DOMContentLoaded', () => {
     scaleGame();
     setupMobileControls();
 });
+
+// --- 4. SETTINGS SCREEN ---
+const settingsScreen = document.getElementById('settings-screen');
+
+// Shorthand for the settings form's inputs
+function settingsInput(name) {
+    return document.getElementById(`setting-${name}`);
+}
+
+function addOption(select, value, label) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+}
+
+// Builds the dropdowns and per-player rows from the game's own tables, and hooks up the buttons
+function setupSettingsScreen() {
+    if (!settingsScreen) return;
+
+    Object.entries(GRAVITY_PRESETS).forEach(([key, preset]) => addOption(settingsInput('gravity-preset'), key, `${preset.name} (${preset.gravity})`));
+    addOption(settingsInput('gravity-preset'), 'custom', "Custom");
+    for (let count = MIN_PLAYERS; count <= MAX_PLAYERS; count++) addOption(settingsInput('players'), count, count);
+    MATCH_FORMAT_ORDER.forEach(key => addOption(settingsInput('match-format'), key, MATCH_FORMATS[key].name));
+    WIND_LEVEL_ORDER.forEach(key => addOption(settingsInput('wind-level'), key, WIND_LEVELS[key].name));
+    SKY_THEME_ORDER.forEach(key => addOption(settingsInput('sky-theme'), key, SKY_THEMES[key].name));
+    addOption(settingsInput('sky-theme'), 'random', "Random (each round)");
+
+    // Name and gorilla colour for every seat (rows past the chosen player count are hidden)
+    const playerRows = document.getElementById('settings-players');
+    for (let idx = 0; idx < MAX_PLAYERS; idx++) {
+        const row = document.createElement('div');
+        row.className = 'settings-player';
+        row.id = `settings-player-${idx}`;
+        row.innerHTML = `P${idx + 1} <input type="text" id="setting-name-${idx}" maxlength="${MAX_NAME_LENGTH}">` +
+            ` <input type="color" id="setting-color-${idx}">` +
+            ` <label><input type="checkbox" id="setting-typed-${idx}"> Typed</label>`;
+        playerRows.appendChild(row);
+    }
+
+    // Presets fill in the number; typing a number picks the matching preset (or "Custom")
+    settingsInput('gravity-preset').addEventListener('change', () => {
+        const preset = GRAVITY_PRESETS[settingsInput('gravity-preset').value];
+        if (preset) settingsInput('gravity').value = preset.gravity;
+    });
+    settingsInput('gravity').addEventListener('input', updateGravityPreset);
+    settingsInput('players').addEventListener('change', updatePlayerRows);
+    // Volume changes are heard straight away ("Back to Game" puts them back)
+    ['master-volume', 'effects-volume', 'music-volume', 'muted'].forEach(name => {
+        settingsInput(name).addEventListener('input', () => { if (sound) sound.set_volumes(readSettingsForm()); });
+    });
+
+    document.getElementById('settings-start').addEventListener('click', () => {
+        const settings = readSettingsForm();
+        save_settings(settings);
+        game = new Game(pendingSeed, settings);
+        pendingSeed = null; // A URL seed only applies to the first match
+        settingsFromPause = false; // Straight into the new match
+        closeSettingsScreen();
+    });
+    document.getElementById('settings-cancel').addEventListener('click', () => {
+        if (sound) sound.set_volumes(game.settings); // Undo any volume previewing
+        closeSettingsScreen();
+    });
+    document.getElementById('settings-defaults').addEventListener('click', () => fillSettingsForm(sanitize_settings(null)));
+    document.getElementById('settings-stats').addEventListener('click', openStatsScreen);
+    document.getElementById('settings-controls').addEventListener('click', openBindingsScreen);
+    document.getElementById('settings-editor').addEventListener('click', openLevelEditor);
+}
+
+function fillSettingsForm(settings) {
+    settingsInput('gravity').value = settings.gravity;
+    settingsInput('building-count').value = settings.buildingCount;
+    settingsInput('building-min').value = settings.buildingMinHeight;
+    settingsInput('building-max').value = settings.buildingMaxHeight;
+    settingsInput('explosion-radius').value = settings.explosionRadius;
+    settingsInput('starting-health').value = settings.startingHealth;
+    settingsInput('players').value = settings.numPlayers;
+    settingsInput('teams').checked = settings.teamMode;
+    settingsInput('match-format').value = settings.matchFormat;
+    settingsInput('wind-level').value = settings.windLevel;
+    settingsInput('sky-theme').value = settings.skyTheme;
+    fillLevelPicker(settingsInput('level'), "Random city", settings.level);
+    settingsInput('gusty').checked = settings.gusty;
+    settingsInput('master-volume').value = settings.masterVolume;
+    settingsInput('effects-volume').value = settings.effectsVolume;
+    settingsInput('music-volume').value = settings.musicVolume;
+    settingsInput('muted').checked = settings.muted;
+    settingsInput('show-trails').checked = settings.showTrails;
+    settingsInput('follow-camera').checked = settings.followCamera;
+    settingsInput('reduced-motion').checked = settings.reducedMotion;
+    for (let idx = 0; idx < MAX_PLAYERS; idx++) {
+        settingsInput(`name-${idx}`).value = settings.playerNames[idx];
+        settingsInput(`color-${idx}`).value = settings.gorillaColors[idx];
+        settingsInput(`typed-${idx}`).checked = settings.typedInput[idx];
+    }
+    // Number inputs advertise the same limits sanitize_settings enforces
+    [['gravity', 'gravity'], ['building-count', 'buildingCount'], ['building-min', 'buildingMinHeight'], ['building-max', 'buildingMaxHeight'],
+     ['explosion-radius', 'explosionRadius'], ['starting-health', 'startingHealth']].forEach(([name, key]) => {
+        settingsInput(name).min = SETTINGS_LIMITS[key][0];
+        settingsInput(name).max = SETTINGS_LIMITS[key][1];
+    });
+    updateGravityPreset();
+    updatePlayerRows();
+}
+
+// Reads the form back into a settings object; sanitize_settings clamps anything out of range
+function readSettingsForm() {
+    const playerNames = [];
+    const gorillaColors = [];
+    const typedInput = [];
+    for (let idx = 0; idx < MAX_PLAYERS; idx++) {
+        playerNames.push(settingsInput(`name-${idx}`).value);
+        gorillaColors.push(settingsInput(`color-${idx}`).value);
+        typedInput.push(settingsInput(`typed-${idx}`).checked);
+    }
+    return sanitize_settings({
+        gravity: parseFloat(settingsInput('gravity').value),
+        buildingCount: parseInt(settingsInput('building-count').value, 10),
+        buildingMinHeight: parseFloat(settingsInput('building-min').value),
+        buildingMaxHeight: parseFloat(settingsInput('building-max').value),
+        explosionRadius: parseFloat(settingsInput('explosion-radius').value),
+        startingHealth: parseFloat(settingsInput('starting-health').value),
+        numPlayers: parseInt(settingsInput('players').value, 10),
+        teamMode: settingsInput('teams').checked,
+        matchFormat: settingsInput('match-format').value,
+        windLevel: settingsInput('wind-level').value,
+        skyTheme: settingsInput('sky-theme').value,
+        level: settingsInput('level').value,
+        gusty: settingsInput('gusty').checked,
+        masterVolume: parseFloat(settingsInput('master-volume').value),
+        effectsVolume: parseFloat(settingsInput('effects-volume').value),
+        musicVolume: parseFloat(settingsInput('music-volume').value),
+        muted: settingsInput('muted').checked,
+        showTrails: settingsInput('show-trails').checked,
+        followCamera: settingsInput('follow-camera').checked,
+        reducedMotion: settingsInput('reduced-motion').checked,
+        playerNames,
+        gorillaColors,
+        typedInput
+    });
+}
+
+// Built-in and saved levels, after a first option for none ('')
+function fillLevelPicker(select, noneLabel, selected = '') {
+    select.innerHTML = '';
+    addOption(select, '', noneLabel);
+    BUILT_IN_LEVELS.forEach(level => addOption(select, level.name, `${level.name} (built-in)`));
+    Object.keys(load_levels()).sort().forEach(name => addOption(select, name, name));
+    select.value = find_level(selected) ? selected : ''; // A saved level may have been removed since
+}
+
+function updateGravityPreset() {
+    const gravity = parseFloat(settingsInput('gravity').value);
+    const match = Object.keys(GRAVITY_PRESETS).find(key => GRAVITY_PRESETS[key].gravity === gravity);
+    settingsInput('gravity-preset').value = match || 'custom';
+}
+
+// Only show name/colour rows for seats in use; teams need exactly four players
+function updatePlayerRows() {
+    const count = parseInt(settingsInput('players').value, 10);
+    for (let idx = 0; idx < MAX_PLAYERS; idx++) {
+        document.getElementById(`settings-player-${idx}`).style.display = idx < count ? '' : 'none';
+    }
+    settingsInput('teams').disabled = count !== MAX_PLAYERS;
+    if (count !== MAX_PLAYERS) settingsInput('teams').checked = false;
+}
+
+// canCancel: offer "Back to Game" (not before the very first match). Returns false if the screen can't open.
+function openSettingsScreen(canCancel = true) {
+    if (!settingsScreen || (game && game.network)) return false; // Online, the host's settings apply
+    fillSettingsForm(game ? game.settings : load_settings());
+    document.getElementById('settings-cancel').style.display = canCancel ? '' : 'none';
+    settingsScreen.classList.remove('hidden');
+    settingsOpen = true;
+    updateGamePause();
+    return true;
+}
+
+function closeSettingsScreen() {
+    settingsScreen.classList.add('hidden');
+    settingsOpen = false;
+    keysPressed = {}; // Nothing typed into the form should count as held down
+    if (settingsFromPause) {
+        settingsFromPause = false;
+        openPauseMenu(); // Back to the menu it was opened from, still paused
+    } else {
+        updateGamePause();
+    }
+}
+
+// --- 5. STATS SCREEN ---
+const statsScreen = document.getElementById('stats-screen');
+
+// Player names are typed in by users, so escape them before they go into innerHTML
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function tableRow(cells, tag = 'td') {
+    return `<tr>${cells.map(cell => `<${tag}>${escapeHtml(cell)}</${tag}>`).join('')}</tr>`;
+}
+
+function setupStatsScreen() {
+    if (!statsScreen) return;
+    const fileInput = document.getElementById('stats-import-file');
+    document.getElementById('stats-close').addEventListener('click', closeStatsScreen);
+    document.getElementById('stats-export').addEventListener('click', exportStats);
+    document.getElementById('stats-import').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) importStats(fileInput.files[0]);
+        fileInput.value = ''; // Allow importing the same file again
+    });
+}
+
+function renderStatsScreen() {
+    const careers = stats.get_career_rows();
+    document.getElementById('stats-careers').innerHTML =
+        tableRow(["Player", "Matches", "Won", "Rounds", "Won", "Shots", "Hits", "Accuracy", "Direct hits", "Splash kills", "Avg damage"], 'th') +
+        (careers.length === 0 ? tableRow(["No rounds played yet"]) : careers.map(career => tableRow([
+            career.name, career.matches, career.matchWins, career.rounds, career.roundWins, career.shots, career.hits,
+            career.shots > 0 ? `${Math.round(career.hits / career.shots * 100)}%` : "-",
+            career.directHits, career.splashKills,
+            career.shots > 0 ? Math.round(career.damage / career.shots) : "-" // Per shot
+        ])).join(''));
+
+    const matches = stats.get_recent_matches();
+    document.getElementById('stats-matches').innerHTML =
+        tableRow(["Date", "Players", "Format", "Winner", "Score", "Rounds", "Avg round", "Time"], 'th') +
+        (matches.length === 0 ? tableRow(["No matches yet"]) : matches.map(match => tableRow([
+            new Date(match.date).toLocaleString(),
+            match.players.join(match.teams ? ", " : " vs "),
+            match.format,
+            match.winner || "Unfinished",
+            match.scores.join(" - "),
+            match.rounds.length,
+            format_duration(match.rounds.reduce((sum, round) => sum + round.durationMs, 0) / Math.max(1, match.rounds.length)),
+            format_duration(match.durationMs)
+        ])).join(''));
+}
+
+function setStatsStatus(text) {
+    document.getElementById('stats-status').textContent = text;
+}
+
+// Downloads the stats as a JSON file
+function exportStats() {
+    const blob = new Blob([stats.export_json()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `pyrillas-stats-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+    setStatsStatus("Stats exported.");
+}
+
+function importStats(file) {
+    if (!confirm("Replace the stats in this browser with the imported file?")) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            stats.import_json(reader.result);
+            renderStatsScreen();
+            setStatsStatus(`Imported ${file.name}.`);
+        } catch (e) {
+            console.error("Stats import failed:", e);
+            setStatsStatus(`Couldn't import ${file.name}: ${e.message}`);
+        }
+    };
+    reader.readAsText(file);
+}
+
+function openStatsScreen() {
+    if (!statsScreen) return;
+    renderStatsScreen();
+    setStatsStatus("");
+    statsScreen.classList.remove('hidden');
+    statsOpen = true;
+    updateGamePause();
+}
+
+function closeStatsScreen() {
+    statsScreen.classList.add('hidden');
+    statsOpen = false;
+    keysPressed = {};
+    updateGamePause();
+}
+
+// --- 6. KEY BINDINGS SCREEN ---
+const bindingsScreen = document.getElementById('bindings-screen');
+let editedBindings = null; // Working copy while the screen is open; saved (or dropped) on close
+let capturingBinding = null; // { player, action } waiting for its new key
+
+function setupBindingsScreen() {
+    if (!bindingsScreen) return;
+    // Clicking a key starts listening for its replacement
+    document.getElementById('bindings-table').addEventListener('click', (e) => {
+        const button = e.target.closest('button');
+        if (!button) return;
+        button.blur(); // Or Enter/Space would click it again instead of being bound
+        capturingBinding = { player: Number(button.dataset.player), action: button.dataset.action };
+        renderBindingsScreen();
+    });
+    document.getElementById('bindings-save').addEventListener('click', () => {
+        if (find_binding_conflicts(editedBindings).length > 0) return;
+        keyBindings = editedBindings;
+        save_bindings(keyBindings);
+        closeBindingsScreen();
+    });
+    document.getElementById('bindings-defaults').addEventListener('click', () => {
+        editedBindings = sanitize_bindings(null);
+        capturingBinding = null;
+        renderBindingsScreen();
+    });
+    document.getElementById('bindings-cancel').addEventListener('click', closeBindingsScreen);
+}
+
+// One row per action, one column per player. Conflicting keys are highlighted and block saving.
+function renderBindingsScreen() {
+    const conflicts = find_binding_conflicts(editedBindings);
+    const rows = BINDING_ACTIONS.map(({ key: action, name }) => {
+        const cells = editedBindings.map((bindings, player) => {
+            const capturing = capturingBinding && capturingBinding.player === player && capturingBinding.action === action;
+            const conflict = conflicts.some(c => c.player === player && c.action === action);
+            const label = capturing ? "Press a key..." : key_label(bindings[action]);
+            return `<td><button data-player="${player}" data-action="${action}"${conflict ? ' class="conflict"' : ''}>${escapeHtml(label)}</button></td>`;
+        });
+        return `<tr><td>${escapeHtml(name)}</td>${cells.join('')}</tr>`;
+    });
+    document.getElementById('bindings-table').innerHTML =
+        tableRow(["Action", ...editedBindings.map((bindings, player) => `P${player + 1}`)], 'th') + rows.join('');
+    document.getElementById('bindings-status').textContent = conflicts.length > 0 ?
+        conflicts.map(c => c.reason).join(" · ") : (capturingBinding ? "Esc cancels" : "");
+    document.getElementById('bindings-save').disabled = conflicts.length > 0;
+}
+
+// Every key press while the screen is open: the new binding, or Escape to cancel (or close the screen)
+function handleBindingKey(e) {
+    e.preventDefault();
+    if (e.repeat) return;
+    if (!capturingBinding) {
+        if (e.key === 'Escape') closeBindingsScreen();
+        return;
+    }
+    if (e.key !== 'Escape') {
+        editedBindings[capturingBinding.player][capturingBinding.action] = normalize_key(e.key);
+    }
+    capturingBinding = null;
+    renderBindingsScreen();
+}
+
+function openBindingsScreen() {
+    if (!bindingsScreen) return;
+    editedBindings = keyBindings.map(bindings => ({ ...bindings }));
+    capturingBinding = null;
+    renderBindingsScreen();
+    bindingsScreen.classList.remove('hidden');
+    bindingsOpen = true;
+    updateGamePause();
+}
+
+function closeBindingsScreen() {
+    bindingsScreen.classList.add('hidden');
+    bindingsOpen = false;
+    capturingBinding = null;
+    keysPressed = {};
+    updateGamePause();
+}
+
+// --- 7. PAUSE MENU ---
+const pauseScreen = document.getElementById('pause-screen');
+
+function setupPauseMenu() {
+    if (!pauseScreen) return;
+    document.getElementById('pause-resume').addEventListener('click', closePauseMenu);
+    document.getElementById('pause-restart').addEventListener('click', () => {
+        game.restart_round();
+        closePauseMenu();
+    });
+    document.getElementById('pause-new-match').addEventListener('click', () => {
+        game.restart_match();
+        closePauseMenu();
+    });
+    // The game stays paused underneath the settings screen; closing it comes back here
+    document.getElementById('pause-settings').addEventListener('click', () => {
+        pauseScreen.classList.add('hidden');
+        pauseOpen = false;
+        settingsFromPause = openSettingsScreen();
+        if (!settingsFromPause) openPauseMenu();
+    });
+}
+
+// Every overlay holds the game still underneath: no updates, and the round clock and the game timers
+// (message clears, the next round) stop too. Not online, where the other side's game keeps going: only the
+// stats and bindings screens open there, and the match carries on behind them.
+function updateGamePause() {
+    if (game) game.set_paused(!game.network && (pauseOpen || settingsOpen || statsOpen || bindingsOpen || editorOpen));
+}
+
+// Online there's no pause menu: the other side's game keeps going
+function openPauseMenu() {
+    if (!pauseScreen || !game || game.network || pauseOpen) return;
+    if (settingsOpen || statsOpen || bindingsOpen || editorOpen) return; // Not over another screen, which is already paused
+    document.getElementById('pause-restart').disabled = game.gameOver; // Between rounds, the next one is on its way
+    pauseScreen.classList.remove('hidden');
+    pauseOpen = true;
+    updateGamePause();
+    keysPressed = {};
+    touchActions = {};
+}
+
+function closePauseMenu() {
+    pauseScreen.classList.add('hidden');
+    pauseOpen = false;
+    updateGamePause();
+    keysPressed = {};
+}
+
+function togglePauseMenu() {
+    if (pauseOpen) {
+        closePauseMenu();
+    } else {
+        openPauseMenu();
+    }
+}
+
+// --- 8. LEVEL EDITOR ---
+const editorPanel = document.getElementById('editor-panel');
+
+// Shorthand for the editor toolbar's inputs and buttons
+function editorInput(name) {
+    return document.getElementById(`editor-${name}`);
+}
+
+function setupLevelEditor() {
+    if (!editorPanel) return;
+    document.querySelectorAll('#editor-panel [data-tool]').forEach(button => button.addEventListener('click', () => {
+        editor.tool = button.dataset.tool;
+        renderLevelEditor();
+    }));
+    editorInput('load').addEventListener('change', () => {
+        const level = find_level(editorInput('load').value);
+        if (level) loadIntoEditor(level, `Loaded ${level.name}.`);
+    });
+    editorInput('from-city').addEventListener('click', () => loadIntoEditor(game.to_level(), "Started from the current city."));
+    editorInput('color').addEventListener('input', () => editor.set_color(editorInput('color').value));
+    editorInput('delete').addEventListener('click', () => {
+        editor.delete_selection();
+        renderLevelEditor();
+    });
+    // sanitize_level tidies these up, so the fields are filled back in with what was kept
+    ['name', 'gravity', 'wind'].forEach(key => editorInput(key).addEventListener('change', () => {
+        editor.set_property(key, editorInput(key).value);
+        renderLevelEditor();
+    }));
+
+    const fileInput = editorInput('import-file');
+    editorInput('save').addEventListener('click', saveEditorLevel);
+    editorInput('remove').addEventListener('click', removeEditorLevel);
+    editorInput('export').addEventListener('click', exportEditorLevel);
+    editorInput('import').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) {
+            const file = fileInput.files[0];
+            readLevelFile(file, level => loadIntoEditor(level, `Imported ${file.name}.`), setEditorStatus);
+        }
+        fileInput.value = ''; // Allow importing the same file again
+    });
+    editorInput('play').addEventListener('click', playEditorLevel);
+    editorInput('close').addEventListener('click', closeLevelEditor);
+}
+
+// Puts the toolbar in step with the editor
+function renderLevelEditor() {
+    fillLevelPicker(editorInput('load'), "Load a level...");
+    editorInput('name').value = editor.level.name;
+    editorInput('gravity').value = editor.level.gravity === null ? '' : editor.level.gravity;
+    editorInput('wind').value = editor.level.wind === null ? '' : editor.level.wind;
+    editorInput('color').value = editor.color;
+    editorInput('delete').disabled = !editor.can_delete();
+    editorInput('remove').disabled = !load_levels()[editor.level.name];
+    document.querySelectorAll('#editor-panel [data-tool]').forEach(button => {
+        button.classList.toggle('active', button.dataset.tool === editor.tool);
+    });
+}
+
+function setEditorStatus(text) {
+    editorInput('status').textContent = text;
+}
+
+function loadIntoEditor(level, status) {
+    editor.load(level);
+    setEditorStatus(status);
+    renderLevelEditor();
+}
+
+// Keys while the editor is open. Its own fields keep theirs (Backspace in the name mustn't delete a building).
+function handleEditorKey(e) {
+    if (['INPUT', 'SELECT'].includes(e.target.tagName) || e.repeat) return;
+    if (e.key === 'Escape' || e.key === 'e' || e.key === 'E') {
+        closeLevelEditor();
+    } else if (e.key === 'Delete' || e.key === 'Backspace') {
+        e.preventDefault(); // Backspace used to go back a page in some browsers
+        editor.delete_selection();
+        renderLevelEditor();
+    }
+}
+
+// Saves the level under its name. Returns false if it couldn't be (the built-in names are taken).
+function saveEditorLevel() {
+    const name = editor.level.name;
+    if (is_built_in_level(name)) {
+        setEditorStatus(`${name} is a built-in level. Give yours a new name to save it.`);
+        return false;
+    }
+    store_level(editor.level);
+    editor.modified = false;
+    setEditorStatus(`Saved ${name}.`);
+    renderLevelEditor();
+    return true;
+}
+
+function removeEditorLevel() {
+    const name = editor.level.name;
+    const levels = load_levels();
+    if (!levels[name] || !confirm(`Remove ${name} from the saved levels?`)) return;
+    delete levels[name];
+    save_levels(levels);
+    setEditorStatus(`Removed ${name}. It's still open here until you close the editor.`);
+    renderLevelEditor();
+}
+
+// Downloads the level as a JSON file in the documented format
+function exportEditorLevel() {
+    const blob = new Blob([JSON.stringify(editor.level, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `pyrillas-level-${editor.level.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+    setEditorStatus("Level exported.");
+}
+
+// Reads a level file (Import JSON or a dropped file). onLevel gets the checked level, onError a message.
+function readLevelFile(file, onLevel, onError) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            onLevel(sanitize_level(JSON.parse(reader.result)));
+        } catch (e) {
+            console.error("Level import failed:", e);
+            onError(`Couldn't load ${file.name}: ${e.message}`);
+        }
+    };
+    reader.readAsText(file);
+}
+
+// "?level=<url>": fetches a level file (the page has to be served over http for this)
+function loadLevelUrl(url) {
+    fetch(url)
+        .then(response => {
+            if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+            return response.json();
+        })
+        .then(raw => pickLevel(sanitize_level(raw)))
+        .catch(e => {
+            console.error("Level download failed:", e);
+            if (game) game.setMessage(`Couldn't load the level from ${url}: ${e.message}`, 5000);
+        });
+}
+
+// Saves a level from a file or the URL and picks it on the settings screen, ready to start
+function pickLevel(level) {
+    const name = store_level(level);
+    if (!settingsOpen && !openSettingsScreen()) return;
+    fillLevelPicker(settingsInput('level'), "Random city", name);
+}
+
+// Starts a new match on the level with the current settings, saving it first if it has changed
+// (an untouched built-in level plays as it is)
+function playEditorLevel() {
+    const unchanged = is_built_in_level(editor.level.name) && !editor.modified;
+    if (!unchanged && !saveEditorLevel()) return;
+    const settings = { ...game.settings, level: editor.level.name };
+    save_settings(settings);
+    game = new Game(null, settings);
+    closeLevelEditor();
+    settingsFromPause = false; // Straight into the new match
+    if (settingsOpen) closeSettingsScreen();
+}
+
+// Online, both players have to stay on the same city, so there's no editor
+function openLevelEditor() {
+    if (!editorPanel || !game || game.network || editorOpen) return;
+    if (statsOpen || bindingsOpen || pauseOpen) return;
+    if (!editor) editor = new LevelEditor(game.to_level()); // Kept afterwards, so unsaved work survives closing it
+    if (settingsOpen) settingsScreen.classList.add('hidden'); // Comes back when the editor closes
+    editorPanel.classList.remove('hidden');
+    editorOpen = true;
+    setEditorStatus("");
+    renderLevelEditor();
+    keysPressed = {};
+    touchActions = {};
+    updateGamePause();
+}
+
+function closeLevelEditor() {
+    editorPanel.classList.add('hidden');
+    editorOpen = false;
+    editor.pointer_up();
+    keysPressed = {};
+    if (settingsOpen) {
+        fillLevelPicker(settingsInput('level'), "Random city", settingsInput('level').value); // Pick up newly saved levels
+        settingsScreen.classList.remove('hidden');
+    }
+    updateGamePause();
+}
@@ -0,0 +1,352 @@
+// --- js_pyrillas_bas relay server ---
+// Tiny dependency-free relay for online two-player games on a LAN or localhost.
+// It serves the game files over HTTP and relays JSON messages between the two
+// players of a lobby over WebSocket. It knows nothing about the game itself:
+// both clients simulate every shot, the relay only passes along what each sends.
+//
+// Run:   node server/relay.js [port]      (default port 8080)
+// Play:  http://<this-machine>:8080/?online=host   then share the lobby code,
+//        the other player opens   http://<this-machine>:8080/?join=CODE
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8080);
+const GAME_ROOT = path.join(__dirname, '..'); // Folder with index.html
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'; // Fixed by the WebSocket spec
+const RECONNECT_GRACE_MS = 2 * 60 * 1000; // How long a dropped player's seat is kept for them
+const PING_INTERVAL_MS = 20 * 1000; // Keep-alive so dead connections are noticed
+const CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ'; // No I or O, they're easy to misread
+const MAX_MESSAGE_BYTES = 64 * 1024; // The game's biggest message (a match start with a full level) is a few KB
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.png': 'image/png',
+    '.json': 'application/json; charset=utf-8',
+};
+
+// code -> { code, players: [seat, seat] }
+// seat: { token, socket (null while disconnected), queue: [messages waiting for them], dropTimer }
+const lobbies = new Map();
+
+// --- Static Files ---
+
+function serve_static(req, res) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(req.url.split('?')[0]);
+    } catch (err) {
+        res.writeHead(400); // Malformed escape like "%E0%A4%A"
+        res.end('Bad request');
+        return;
+    }
+    const filePath = path.normalize(path.join(GAME_ROOT, urlPath === '/' ? 'index.html' : urlPath));
+    // Never serve anything outside the game folder, or hidden files like .git
+    const relative = path.relative(GAME_ROOT, filePath);
+    if (relative.startsWith('..') || path.isAbsolute(relative) || relative.split(path.sep).some(part => part.startsWith('.'))) {
+        res.writeHead(403);
+        res.end('Forbidden');
+        return;
+    }
+    fs.readFile(filePath, (err, data) => {
+        if (err) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+// --- Minimal WebSocket (RFC 6455) ---
+// Text frames only, which is all the game sends.
+
+// Accepts a string or a Buffer
+function encode_frame(text, opcode = 0x1) {
+    const payload = Buffer.from(text);
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// Wraps a raw upgraded socket. onText(text) is called per complete message, onClose() once.
+function create_connection(socket, onText, onClose) {
+    let buffer = Buffer.alloc(0);
+    let fragments = []; // Payloads of a message split over several frames
+    let closed = false;
+
+    const conn = {
+        alive: true,
+        send(text) {
+            if (!closed) socket.write(encode_frame(text));
+        },
+        close() {
+            if (closed) return;
+            socket.end(encode_frame('', 0x8));
+            finish();
+        },
+        ping() {
+            if (!closed) socket.write(encode_frame('', 0x9));
+        }
+    };
+
+    function finish() {
+        if (closed) return;
+        closed = true;
+        socket.destroy();
+        onClose();
+    }
+
+    socket.on('data', (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        while (buffer.length >= 2) {
+            const fin = (buffer[0] & 0x80) !== 0;
+            const opcode = buffer[0] & 0x0f;
+            const masked = (buffer[1] & 0x80) !== 0;
+            let length = buffer[1] & 0x7f;
+            let offset = 2;
+            if (length === 126) {
+                if (buffer.length < 4) return;
+                length = buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (buffer.length < 10) return;
+                length = Number(buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+            // Browsers always mask what they send (the spec says to drop any client that doesn't), and
+            // nothing the game sends comes close to the limit, so either means it isn't our client
+            const fragmentBytes = fragments.reduce((sum, fragment) => sum + fragment.length, 0);
+            if (!masked || fragmentBytes + length > MAX_MESSAGE_BYTES) {
+                conn.close();
+                return;
+            }
+            const maskOffset = offset;
+            offset += 4;
+            if (buffer.length < offset + length) return; // Wait for the rest of the frame
+
+            const payload = Buffer.from(buffer.subarray(offset, offset + length));
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= buffer[maskOffset + (i % 4)];
+            }
+            buffer = buffer.subarray(offset + length);
+
+            if (opcode === 0x8) { // Close
+                conn.close();
+                return;
+            } else if (opcode === 0x9) { // Ping -> pong
+                if (!closed) socket.write(encode_frame(payload, 0xa));
+            } else if (opcode === 0xa) { // Pong
+                conn.alive = true;
+            } else if (opcode === 0x1 || opcode === 0x0) { // Text or continuation
+                fragments.push(payload);
+                if (fin) {
+                    const text = Buffer.concat(fragments).toString('utf8');
+                    fragments = [];
+                    try {
+                        onText(text);
+                    } catch (err) {
+                        // One misbehaving client mustn't take down every other lobby
+                        console.error('Error handling a message:', err);
+                    }
+                }
+            }
+        }
+    });
+    socket.on('close', finish);
+    socket.on('error', finish);
+    return conn;
+}
+
+// --- Lobbies ---
+
+function new_lobby_code() {
+    let code;
+    do {
+        code = '';
+        for (let i = 0; i < 4; i++) {
+            code += CODE_LETTERS[crypto.randomInt(CODE_LETTERS.length)];
+        }
+    } while (lobbies.has(code));
+    return code;
+}
+
+function new_seat(conn) {
+    return { token: crypto.randomBytes(8).toString('hex'), socket: conn, queue: [], dropTimer: null };
+}
+
+function send_json(conn, message) {
+    conn.send(JSON.stringify(message));
+}
+
+// Sends to a seat, or queues the message until that player reconnects
+function deliver(seat, message) {
+    if (!seat) return;
+    if (seat.socket) {
+        send_json(seat.socket, message);
+    } else {
+        seat.queue.push(message);
+    }
+}
+
+function attach(seat, conn) {
+    if (seat.dropTimer) {
+        clearTimeout(seat.dropTimer);
+        seat.dropTimer = null;
+    }
+    seat.socket = conn;
+    // Flush anything the other player sent while this one was away
+    const queued = seat.queue;
+    seat.queue = [];
+    queued.forEach(message => send_json(conn, message));
+}
+
+function handle_message(client, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (err) {
+        send_json(client.conn, { type: 'error', error: 'Bad message' });
+        return;
+    }
+    // Valid JSON isn't necessarily an object ("null", "3")
+    if (!message || typeof message !== 'object') {
+        send_json(client.conn, { type: 'error', error: 'Bad message' });
+        return;
+    }
+
+    if ((message.type === 'host' || message.type === 'join') && client.code) {
+        // One lobby per connection; a second would keep the first one's seat (and the lobby) alive forever
+        send_json(client.conn, { type: 'error', error: `Already in lobby ${client.code}` });
+    } else if (message.type === 'host') {
+        const code = new_lobby_code();
+        const seat = new_seat(client.conn);
+        lobbies.set(code, { code, players: [seat, null] });
+        Object.assign(client, { code, playerIndex: 0 });
+        send_json(client.conn, { type: 'hosted', code, playerIndex: 0, token: seat.token });
+        console.log(`Lobby ${code} created`);
+    } else if (message.type === 'join') {
+        const code = String(message.code || '').toUpperCase();
+        const lobby = lobbies.get(code);
+        if (!lobby) {
+            send_json(client.conn, { type: 'error', error: `No lobby with code ${code}` });
+        } else if (!lobby.players.includes(null)) {
+            send_json(client.conn, { type: 'error', error: `Lobby ${code} is full` });
+        } else {
+            // Usually the guest's seat, but it's the host's if they left and the guest stayed
+            const playerIndex = lobby.players.indexOf(null);
+            const seat = new_seat(client.conn);
+            lobby.players[playerIndex] = seat;
+            Object.assign(client, { code, playerIndex });
+            send_json(client.conn, { type: 'joined', code, playerIndex, token: seat.token });
+            deliver(lobby.players[1 - playerIndex], { type: 'opponent_joined' });
+            console.log(`Lobby ${code}: player ${playerIndex + 1} joined`);
+        }
+    } else if (message.type === 'rejoin') {
+        const lobby = lobbies.get(String(message.code || '').toUpperCase());
+        const playerIndex = lobby ? lobby.players.findIndex(seat => seat && seat.token === message.token) : -1;
+        if (playerIndex === -1) {
+            send_json(client.conn, { type: 'error', error: 'Could not rejoin - the lobby has closed' });
+            return;
+        }
+        const seat = lobby.players[playerIndex];
+        if (seat.socket && seat.socket !== client.conn) {
+            seat.socket.close(); // A stale connection from before the drop
+        }
+        Object.assign(client, { code: lobby.code, playerIndex });
+        send_json(client.conn, { type: 'rejoined', code: lobby.code, playerIndex, opponentConnected: !!(lobby.players[1 - playerIndex] && lobby.players[1 - playerIndex].socket) });
+        attach(seat, client.conn);
+        deliver(lobby.players[1 - playerIndex], { type: 'opponent_reconnected' });
+        console.log(`Lobby ${lobby.code}: player ${playerIndex + 1} reconnected`);
+    } else if (message.type === 'relay') {
+        const lobby = lobbies.get(client.code);
+        if (!lobby) return;
+        deliver(lobby.players[1 - client.playerIndex], { type: 'relay', payload: message.payload });
+    }
+}
+
+function handle_close(client) {
+    const lobby = lobbies.get(client.code);
+    if (!lobby) return;
+    const seat = lobby.players[client.playerIndex];
+    if (!seat || seat.socket !== client.conn) return; // Already replaced by a reconnect
+
+    seat.socket = null;
+    const opponent = lobby.players[1 - client.playerIndex];
+    deliver(opponent, { type: 'opponent_disconnected' });
+    console.log(`Lobby ${lobby.code}: player ${client.playerIndex + 1} disconnected`);
+
+    // Give them a while to come back before giving up the seat
+    seat.dropTimer = setTimeout(() => {
+        lobby.players[client.playerIndex] = null;
+        if (opponent && opponent.socket) {
+            send_json(opponent.socket, { type: 'opponent_left' });
+        }
+        if (!lobby.players.some(s => s && s.socket)) {
+            lobbies.delete(lobby.code);
+            console.log(`Lobby ${lobby.code} closed`);
+        }
+    }, RECONNECT_GRACE_MS);
+}
+
+// --- Server ---
+
+const server = http.createServer(serve_static);
+const connections = new Set();
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write(
+        'HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+
+    const client = { conn: null, code: null, playerIndex: null };
+    client.conn = create_connection(socket,
+        (text) => handle_message(client, text),
+        () => {
+            connections.delete(client.conn);
+            handle_close(client);
+        });
+    connections.add(client.conn);
+});
+
+// Drop connections that stopped answering pings
+setInterval(() => {
+    connections.forEach(conn => {
+        if (!conn.alive) {
+            conn.close();
+            return;
+        }
+        conn.alive = false;
+        conn.ping();
+    });
+}, PING_INTERVAL_MS);
+
+server.listen(PORT, () => {
+    console.log(`Relay running: open http://localhost:${PORT}/?online=host to start a lobby`);
+});